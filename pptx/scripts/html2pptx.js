@@ -12,9 +12,18 @@
  *
  * FEATURES:
  *   - Converts HTML to PowerPoint with accurate positioning
- *   - Supports text, images, shapes, and bullet lists
+ *   - Supports text, images, shapes, bullet lists and native tables
+ *   - Converts inline SVG primitives and <text> into editable shapes and text boxes
+ *   - Keeps <pre> code blocks with their whitespace, a monospace font and highlighter token colors
+ *   - Converts MathML and KaTeX formulas into native equations (Office Math), rasterizing what cannot be translated
+ *   - Rebuilds Chart.js charts as native PowerPoint charts from the live chart instance
+ *   - Embeds icon-font icons (Font Awesome, Material Icons) as vector SVG from the loaded font
+ *   - Sets an emoji font on emoji in text runs, or rasterizes them inline (rasterizeEmoji option)
+ *   - Extracts ::before/::after content as text, shapes or images
+ *   - Converts <a href> links (URLs, mailto, #slide-N, other page_N.html files) into hyperlinks
+ *   - Writes speaker notes from <aside class="notes">, <template data-notes> or <body data-notes>
  *   - Extracts placeholder elements (class="placeholder") with positions
- *   - Handles CSS gradients, borders, and margins
+ *   - Handles CSS gradients, background images (cropped or tiled picture fills), borders, and margins
  *
  * VALIDATION:
  *   - Uses body width/height from HTML for viewport sizing
@@ -34,7 +43,10 @@ const sharp = require('sharp');
 
 // Modular imports for Node.js-side operations
 const { getBodyDimensions, validateDimensions, validateTextBoxPosition } = require('./validators/validators');
-const { addBackground, addElements } = require('./renderers/slide-renderer');
+const { addBackground, addElements, addNotes } = require('./renderers/slide-renderer');
+const { registerHtmlSlide, resolveHyperlinks } = require('./renderers/hyperlinks');
+const { collectPageFonts, renderIconGlyph } = require('./utils/icon-fonts');
+const { mathmlToOmml } = require('./utils/mathml');
 
 // Constants (also defined in browser context below for page.evaluate)
 const PT_PER_PX = 0.75;
@@ -43,10 +55,11 @@ const EMU_PER_IN = 914400;
 
 
 // Helper: Extract slide data from HTML page
-async function extractSlideData(page) {
-  return await page.evaluate(() => {
+async function extractSlideData(page, extractOptions = {}) {
+  return await page.evaluate((extractOptions) => {
     const PT_PER_PX = 0.75;
     const PX_PER_IN = 96;
+    const { emojiFont = 'Segoe UI Emoji', rasterizeEmoji = false } = extractOptions || {};
 
     // Fonts that are single-weight and should not have bold applied
     // (applying bold causes PowerPoint to use faux bold which makes text wider)
@@ -59,6 +72,16 @@ async function extractSlideData(page) {
       return SINGLE_WEIGHT_FONTS.includes(normalizedFont);
     };
 
+    // Monospace fonts PowerPoint can be expected to have; code falls back to the first of these
+    const MONOSPACE_FONTS = ['Consolas', 'Courier New', 'Lucida Console', 'Menlo', 'Monaco', 'Courier'];
+
+    // Helper: Pick the font for code from a CSS font-family list (web fonts and generic families fall back)
+    const getMonospaceFont = (fontFamily) => {
+      const families = (fontFamily || '').split(',').map(family => family.replace(/['"]/g, '').trim().toLowerCase());
+      const match = families.map(family => MONOSPACE_FONTS.find(font => font.toLowerCase() === family)).find(Boolean);
+      return match || 'Courier New';
+    };
+
     // Unit conversion helpers
     const pxToInch = (px) => px / PX_PER_IN;
     const pxToPoints = (pxStr) => parseFloat(pxStr) * PT_PER_PX;
@@ -87,8 +110,68 @@ async function extractSlideData(page) {
       return text;
     };
 
-    // Extract rotation angle from CSS transform and writing-mode
-    const getRotation = (transform, writingMode) => {
+    // CSS white-space: pre, pre-wrap and break-spaces keep spaces, tabs and line breaks, pre-line keeps line breaks only
+    const preservesWhitespace = (whiteSpace) => /^(pre|pre-wrap|break-spaces)$/.test(whiteSpace);
+    const collapseWhitespace = (text, whiteSpace) => {
+      if (preservesWhitespace(whiteSpace)) return text;
+      if (whiteSpace === 'pre-line') return text.replace(/[ \t]*\n[ \t]*/g, '\n').replace(/[ \t]+/g, ' ');
+      return text.replace(/\s+/g, ' ');
+    };
+
+    // Linear part [a, b, c, d] of the CSS transforms of an element and its ancestors (ancestors apply last).
+    // Translation is left out: it is already part of the bounding box
+    const transformMatrixCache = new Map();
+    const getTransformMatrix = (el) => {
+      if (!el || el.nodeType !== Node.ELEMENT_NODE) return [1, 0, 0, 1];
+      if (transformMatrixCache.has(el)) return transformMatrixCache.get(el);
+
+      let [a, b, c, d] = getTransformMatrix(el.parentElement);
+      const transform = window.getComputedStyle(el).transform;
+      const match = transform && transform.match(/matrix(3d)?\(([^)]+)\)/);
+      if (match) {
+        const values = match[2].split(',').map(parseFloat);
+        // matrix3d is column-major 4x4: the 2D part sits at indices 0, 1, 4 and 5
+        const [ma, mb, mc, md] = match[1] ? [values[0], values[1], values[4], values[5]] : values;
+        [a, b, c, d] = [a * ma + c * mb, b * ma + d * mb, a * mc + c * md, b * mc + d * md];
+      }
+      transformMatrixCache.set(el, [a, b, c, d]);
+      return [a, b, c, d];
+    };
+
+    // Decompose the accumulated transform of an element as rotate * flip * scale * skew:
+    // { rotation (degrees clockwise, null if none), flipH, flipV, scaleX, scaleY, skew (degrees, 0 if none) }
+    const getTransformState = (el) => {
+      const [a, b, c, d] = getTransformMatrix(el);
+      const scaleX = Math.sqrt(a * a + b * b);
+      const det = a * d - b * c;
+      if (scaleX === 0 || det === 0) return { rotation: null, flipH: false, flipV: false, scaleX: 0, scaleY: 0, skew: 0 };
+
+      // Second column relative to the first: along it is shear, across it the (signed) vertical scale
+      const shear = (a * c + b * d) / scaleX;
+      const scaleY = Math.abs(det) / scaleX;
+      const skew = Math.round(Math.atan2(shear, scaleY) * (180 / Math.PI) * 100) / 100;
+
+      // PowerPoint flips the shape in place, then rotates it. A mirrored matrix (negative determinant) is
+      // rotation * flipH; the same result as flipV with the rotation turned by 180deg, whichever angle is smaller
+      const mirrored = det < 0;
+      let angle = mirrored ? Math.atan2(-b, -a) * (180 / Math.PI) : Math.atan2(b, a) * (180 / Math.PI);
+      angle = ((Math.round(angle) % 360) + 360) % 360;
+
+      let flipH = false;
+      let flipV = false;
+      if (mirrored) {
+        if (angle > 90 && angle < 270) {
+          flipV = true;
+          angle = (angle + 180) % 360;
+        } else {
+          flipH = true;
+        }
+      }
+      return { rotation: angle === 0 ? null : angle, flipH, flipV, scaleX, scaleY, skew };
+    };
+
+    // Extract rotation angle for text from writing-mode and the CSS transforms of the element and its ancestors
+    const getRotation = (el, writingMode) => {
       let angle = 0;
 
       // Handle writing-mode first
@@ -102,23 +185,8 @@ async function extractSlideData(page) {
         angle = 270;
       }
 
-      // Then add any transform rotation
-      if (transform && transform !== 'none') {
-        // Try to match rotate() function
-        const rotateMatch = transform.match(/rotate\((-?\d+(?:\.\d+)?)deg\)/);
-        if (rotateMatch) {
-          angle += parseFloat(rotateMatch[1]);
-        } else {
-          // Browser may compute as matrix - extract rotation from matrix
-          const matrixMatch = transform.match(/matrix\(([^)]+)\)/);
-          if (matrixMatch) {
-            const values = matrixMatch[1].split(',').map(parseFloat);
-            // matrix(a, b, c, d, e, f) where rotation = atan2(b, a)
-            const matrixAngle = Math.atan2(values[1], values[0]) * (180 / Math.PI);
-            angle += Math.round(matrixAngle);
-          }
-        }
-      }
+      // Then add any transform rotation (text is never mirrored in PowerPoint, so flips are ignored)
+      angle += getTransformState(el).rotation || 0;
 
       // Normalize to 0-359 range
       angle = angle % 360;
@@ -127,8 +195,8 @@ async function extractSlideData(page) {
       return angle === 0 ? null : angle;
     };
 
-    // Get position/dimensions accounting for rotation
-    const getPositionAndSize = (el, rect, rotation) => {
+    // Get position/dimensions accounting for rotation (and the transform scale of rotated boxes)
+    const getPositionAndSize = (el, rect, rotation, { scaleX = 1, scaleY = 1 } = {}) => {
       if (rotation === null) {
         return { x: rect.left, y: rect.top, w: rect.width, h: rect.height };
       }
@@ -152,14 +220,209 @@ async function extractSlideData(page) {
         };
       }
 
-      // For other rotations, use element's offset dimensions
+      // For other rotations, use element's offset dimensions, scaled like the browser draws them
       const centerX = rect.left + rect.width / 2;
       const centerY = rect.top + rect.height / 2;
+      const width = el.offsetWidth * scaleX;
+      const height = el.offsetHeight * scaleY;
+      return {
+        x: centerX - width / 2,
+        y: centerY - height / 2,
+        w: width,
+        h: height
+      };
+    };
+
+    // Un-rotated box (px) of a transformed shape or image plus its PowerPoint rotate/flipH/flipV options
+    const getBoxTransform = (el, rect) => {
+      const state = getTransformState(el);
+      const { rotation, flipH, flipV } = state;
       return {
-        x: centerX - el.offsetWidth / 2,
-        y: centerY - el.offsetHeight / 2,
-        w: el.offsetWidth,
-        h: el.offsetHeight
+        box: getPositionAndSize(el, rect, rotation, state),
+        transform: {
+          ...(rotation !== null && { rotate: rotation }),
+          ...(flipH && { flipH: true }),
+          ...(flipV && { flipV: true })
+        }
+      };
+    };
+
+    // One axis of object-position / background-position in px: a length, a percentage of the free space,
+    // calc(<percentage> +/- <length>), a keyword, or an edge keyword with an offset such as "right 10px"
+    const resolvePositionOffset = (value, free) => {
+      const keywords = { left: 0, top: 0, center: 50, right: 100, bottom: 100 };
+      const [first = 'center', offset] = (value || '').trim().split(/\s+(?![^(]*\))/);
+      if (first in keywords) {
+        const edge = free * keywords[first] / 100;
+        if (!offset) return edge;
+        return keywords[first] === 100 ? edge - resolvePositionOffset(offset, free) : edge + resolvePositionOffset(offset, free);
+      }
+      const calcMatch = first.match(/^calc\(([-\d.]+)%\s*([+-])\s*([\d.]+)px\)$/);
+      if (calcMatch) return free * parseFloat(calcMatch[1]) / 100 + (calcMatch[2] === '-' ? -1 : 1) * parseFloat(calcMatch[3]);
+      if (first.endsWith('%')) return free * parseFloat(first) / 100;
+      return parseFloat(first) || 0;
+    };
+
+    // Picture frame of an <img> from object-fit/object-position: the visible part of the scaled image inside the
+    // content box. Returns { position, crop } in inches, where crop = { x, y, w, h } places the frame window on
+    // the full scaled image (w x h), or null if nothing is cut off. Returns null if the natural size is unknown
+    const getObjectFitPlacement = (el, computed, box, transform) => {
+      // object-fit works inside the content box
+      const inset = (side) => parseFloat(computed[`padding${side}`]) + parseFloat(computed[`border${side}Width`]);
+      const content = {
+        x: box.x + inset('Left'),
+        y: box.y + inset('Top'),
+        w: box.w - inset('Left') - inset('Right'),
+        h: box.h - inset('Top') - inset('Bottom')
+      };
+      const fit = computed.objectFit || 'fill';
+      const naturalW = el.naturalWidth;
+      const naturalH = el.naturalHeight;
+      if (fit !== 'fill' && (!naturalW || !naturalH)) return null;
+
+      let imageW = content.w;
+      let imageH = content.h;
+      if (fit !== 'fill') {
+        const containScale = Math.min(content.w / naturalW, content.h / naturalH);
+        const scale = fit === 'cover' ? Math.max(content.w / naturalW, content.h / naturalH)
+          : fit === 'contain' ? containScale
+            : fit === 'none' ? 1 : Math.min(1, containScale); // scale-down
+        imageW = naturalW * scale;
+        imageH = naturalH * scale;
+      }
+
+      const [posX, posY] = (computed.objectPosition || '').match(/calc\([^)]*\)|\S+/g) || [];
+      const offsetX = resolvePositionOffset(posX, content.w - imageW);
+      const offsetY = resolvePositionOffset(posY, content.h - imageH);
+
+      const visLeft = Math.max(0, offsetX);
+      const visTop = Math.max(0, offsetY);
+      const visRight = Math.min(content.w, offsetX + imageW);
+      const visBottom = Math.min(content.h, offsetY + imageH);
+      if (visRight - visLeft < 1 || visBottom - visTop < 1) return null;
+
+      const frame = { x: content.x + visLeft, y: content.y + visTop, w: visRight - visLeft, h: visBottom - visTop };
+      if (transform.rotate || transform.flipH || transform.flipV) {
+        // PowerPoint turns each picture around its own center: move the frame center the way the box is turned
+        let dx = frame.x + frame.w / 2 - (box.x + box.w / 2);
+        let dy = frame.y + frame.h / 2 - (box.y + box.h / 2);
+        if (transform.flipH) dx = -dx;
+        if (transform.flipV) dy = -dy;
+        const angle = (transform.rotate || 0) * Math.PI / 180;
+        [dx, dy] = [dx * Math.cos(angle) - dy * Math.sin(angle), dx * Math.sin(angle) + dy * Math.cos(angle)];
+        frame.x = box.x + box.w / 2 + dx - frame.w / 2;
+        frame.y = box.y + box.h / 2 + dy - frame.h / 2;
+      }
+
+      const isCropped = frame.w < imageW - 0.5 || frame.h < imageH - 0.5;
+      return {
+        position: { x: pxToInch(frame.x), y: pxToInch(frame.y), w: pxToInch(frame.w), h: pxToInch(frame.h) },
+        crop: isCropped
+          ? { x: pxToInch(visLeft - offsetX), y: pxToInch(visTop - offsetY), w: pxToInch(imageW), h: pxToInch(imageH) }
+          : null
+      };
+    };
+
+    // Native picture fill for a single url() background-image, laid out like the browser: background-size,
+    // background-position and background-origin place the image, background-clip cuts it. `frame` (inches) is
+    // the shape that receives the fill. Returns { src, fill } with fill either
+    // { stretch: { srcRect, fillRect } } (fractions of the image / of the frame, negative fillRect insets overflow)
+    // or { tile: { x, y, scaleX, scaleY } } (tile origin in inches from the frame corner, scale of the natural size).
+    // Returns null for layered, SVG or not yet decoded images and for space / one-axis repeats: the caller rasterizes
+    const getBackgroundImageFill = (computed, box, frame) => {
+      const urlMatch = (computed.backgroundImage || '').match(/^url\("?([^")]+)"?\)$/);
+      if (!urlMatch || /\.svg([?#]|$)|^data:image\/svg/i.test(urlMatch[1])) return null;
+      const src = urlMatch[1];
+
+      // Loaded backgrounds are in the memory cache, so the natural size is known right away
+      const probe = new Image();
+      probe.src = src;
+      const naturalW = probe.naturalWidth;
+      const naturalH = probe.naturalHeight;
+      if (!naturalW || !naturalH) return null;
+
+      const getLayoutBox = (kind) => {
+        const inset = (side) => (kind === 'border-box' ? 0 : parseFloat(computed[`border${side}Width`]) || 0) +
+          (kind === 'content-box' ? parseFloat(computed[`padding${side}`]) || 0 : 0);
+        return {
+          x: box.x + inset('Left'),
+          y: box.y + inset('Top'),
+          w: box.w - inset('Left') - inset('Right'),
+          h: box.h - inset('Top') - inset('Bottom')
+        };
+      };
+      const origin = getLayoutBox(computed.backgroundOrigin);
+      const clip = getLayoutBox(computed.backgroundClip);
+
+      // background-size: cover, contain, or one/two lengths or percentages where auto keeps the aspect ratio
+      let tileW;
+      let tileH;
+      const sizeValue = computed.backgroundSize;
+      if (sizeValue === 'cover' || sizeValue === 'contain') {
+        const pick = sizeValue === 'cover' ? Math.max : Math.min;
+        const scale = pick(origin.w / naturalW, origin.h / naturalH);
+        tileW = naturalW * scale;
+        tileH = naturalH * scale;
+      } else {
+        const [sizeX = 'auto', sizeY = 'auto'] = (sizeValue || '').split(/\s+(?![^(]*\))/);
+        const resolveSize = (value, length) => value.endsWith('%') ? length * parseFloat(value) / 100 : parseFloat(value);
+        tileW = sizeX === 'auto' ? null : resolveSize(sizeX, origin.w);
+        tileH = sizeY === 'auto' ? null : resolveSize(sizeY, origin.h);
+        if (Number.isNaN(tileW) || Number.isNaN(tileH)) return null;
+        if (tileW === null && tileH === null) [tileW, tileH] = [naturalW, naturalH];
+        else if (tileW === null) tileW = naturalW * tileH / naturalH;
+        else if (tileH === null) tileH = naturalH * tileW / naturalW;
+      }
+      if (tileW < 1 || tileH < 1) return null;
+
+      const repeatKeywords = { 'repeat-x': ['repeat', 'no-repeat'], 'repeat-y': ['no-repeat', 'repeat'] };
+      const repeatParts = (computed.backgroundRepeat || 'repeat').split(/\s+/);
+      const [repeatX, repeatY = repeatX] = repeatKeywords[repeatParts[0]] || repeatParts;
+      const isTiled = repeatX !== 'no-repeat';
+      if (isTiled !== (repeatY !== 'no-repeat') || repeatX === 'space' || repeatY === 'space') return null;
+      // round shrinks or stretches the tile so a whole number of tiles fits the origin box
+      if (repeatX === 'round') tileW = origin.w / Math.max(1, Math.round(origin.w / tileW));
+      if (repeatY === 'round') tileH = origin.h / Math.max(1, Math.round(origin.h / tileH));
+
+      const imageX = origin.x + resolvePositionOffset(computed.backgroundPositionX, origin.w - tileW);
+      const imageY = origin.y + resolvePositionOffset(computed.backgroundPositionY, origin.h - tileH);
+      const frameX = frame.x * PX_PER_IN;
+      const frameY = frame.y * PX_PER_IN;
+      const frameW = frame.w * PX_PER_IN;
+      const frameH = frame.h * PX_PER_IN;
+
+      if (isTiled) {
+        return {
+          src,
+          fill: { tile: { x: pxToInch(imageX - frameX), y: pxToInch(imageY - frameY), scaleX: tileW / naturalW, scaleY: tileH / naturalH } }
+        };
+      }
+
+      // A single image: crop it to the clip box (srcRect), then place the visible part in the frame (fillRect)
+      const visLeft = Math.max(imageX, clip.x);
+      const visTop = Math.max(imageY, clip.y);
+      const visRight = Math.min(imageX + tileW, clip.x + clip.w);
+      const visBottom = Math.min(imageY + tileH, clip.y + clip.h);
+      if (visRight - visLeft < 1 || visBottom - visTop < 1) return null;
+
+      return {
+        src,
+        fill: {
+          stretch: {
+            srcRect: {
+              l: (visLeft - imageX) / tileW,
+              t: (visTop - imageY) / tileH,
+              r: (imageX + tileW - visRight) / tileW,
+              b: (imageY + tileH - visBottom) / tileH
+            },
+            fillRect: {
+              l: (visLeft - frameX) / frameW,
+              t: (visTop - frameY) / frameH,
+              r: (frameX + frameW - visRight) / frameW,
+              b: (frameY + frameH - visBottom) / frameH
+            }
+          }
+        }
       };
     };
 
@@ -217,16 +480,1564 @@ async function extractSlideData(page) {
       };
     };
 
-    // Parse inline formatting tags (<b>, <i>, <u>, <strong>, <em>, <span>) into text runs
-    const parseInlineFormatting = (element, baseOptions = {}, runs = [], baseTextTransform = (x) => x) => {
+    // Split a CSS value on top-level commas (commas inside parentheses are kept)
+    const splitTopLevel = (value) => {
+      const parts = [];
+      let depth = 0;
+      let current = '';
+      for (const ch of value) {
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (ch === ',' && depth === 0) {
+          parts.push(current.trim());
+          current = '';
+        } else {
+          current += ch;
+        }
+      }
+      if (current.trim()) parts.push(current.trim());
+      return parts;
+    };
+
+    // Parse CSS text-shadow: a blurred shadow without offset becomes a glow, the first offset shadow an outer shadow
+    const parseTextShadow = (textShadow) => {
+      const result = { glow: null, shadow: null };
+      if (!textShadow || textShadow === 'none') return result;
+
+      splitTopLevel(textShadow).forEach(part => {
+        const colorMatch = part.match(/rgba?\([^)]+\)/);
+        const lengths = (part.replace(/rgba?\([^)]+\)/, '').match(/-?[\d.]+px/g) || []).map(parseFloat);
+        if (lengths.length < 2) return;
+
+        const [offsetX, offsetY, blur = 0] = lengths;
+        const color = colorMatch ? rgbToHex(colorMatch[0]) : '000000';
+        const transparency = colorMatch ? extractAlpha(colorMatch[0]) : null;
+        const opacity = transparency !== null ? 1 - transparency / 100 : 1;
+
+        if (offsetX === 0 && offsetY === 0) {
+          if (blur > 0 && !result.glow) result.glow = { size: blur * PT_PER_PX, color, opacity };
+        } else if (!result.shadow) {
+          let angle = Math.atan2(offsetY, offsetX) * (180 / Math.PI);
+          if (angle < 0) angle += 360;
+          result.shadow = {
+            type: 'outer',
+            angle: Math.round(angle),
+            blur: blur * PT_PER_PX,
+            offset: Math.sqrt(offsetX * offsetX + offsetY * offsetY) * PT_PER_PX,
+            color,
+            opacity
+          };
+        }
+      });
+      return result;
+    };
+
+    // Text effects from computed style: letter-spacing, line-through, sub/superscript and text-shadow.
+    // `shadow` only applies to a whole text box; everything else also works per run
+    const getTextEffects = (computed, tagName) => {
+      const effects = {};
+      const letterSpacing = parseFloat(computed.letterSpacing);
+      if (letterSpacing) effects.charSpacing = letterSpacing * PT_PER_PX;
+      if ((computed.textDecorationLine || computed.textDecoration || '').includes('line-through')) effects.strike = 'sngStrike';
+      if (tagName === 'SUP' || computed.verticalAlign === 'super') effects.superscript = true;
+      if (tagName === 'SUB' || computed.verticalAlign === 'sub') effects.subscript = true;
+
+      const { glow, shadow } = parseTextShadow(computed.textShadow);
+      if (glow) effects.glow = glow;
+      if (shadow) effects.shadow = shadow;
+      return effects;
+    };
+
+    // Convert a CSS linear-gradient direction ("135deg", "0.25turn", "to top right") to a CSS angle in degrees
+    const parseGradientAngle = (direction, width, height) => {
+      const angleMatch = direction.match(/^(-?[\d.]+)(deg|rad|grad|turn)$/);
+      if (angleMatch) {
+        const value = parseFloat(angleMatch[1]);
+        const unit = angleMatch[2];
+        if (unit === 'rad') return value * 180 / Math.PI;
+        if (unit === 'grad') return value * 0.9;
+        if (unit === 'turn') return value * 360;
+        return value;
+      }
+
+      const sideMatch = direction.match(/^to\s+(.+)$/);
+      if (!sideMatch) return null;
+      const sides = sideMatch[1].split(/\s+/);
+      const hasTop = sides.includes('top');
+      const hasBottom = sides.includes('bottom');
+      const hasLeft = sides.includes('left');
+      const hasRight = sides.includes('right');
+
+      // Corner directions depend on the box aspect ratio (gradient line is perpendicular to the other diagonal)
+      if ((hasTop || hasBottom) && (hasLeft || hasRight)) {
+        const cornerAngle = Math.atan2(height, width) * 180 / Math.PI;
+        if (hasTop && hasRight) return cornerAngle;
+        if (hasBottom && hasRight) return 180 - cornerAngle;
+        if (hasBottom && hasLeft) return 180 + cornerAngle;
+        return 360 - cornerAngle;
+      }
+      if (hasTop) return 0;
+      if (hasRight) return 90;
+      if (hasBottom) return 180;
+      if (hasLeft) return 270;
+      return null;
+    };
+
+    // Convert a CSS position ("30% 40%", "center", "left top") to percentages of the box
+    const parseGradientCenter = (position, width, height) => {
+      const keywords = { left: 0, top: 0, center: 50, right: 100, bottom: 100 };
+      const parts = position.trim().split(/\s+/);
+      if (parts.length === 1) parts.push('center');
+
+      // Keyword pairs may come in either order ("top left"); put the horizontal one first
+      if (['top', 'bottom'].includes(parts[0]) || ['left', 'right'].includes(parts[1])) parts.reverse();
+
+      const toPercent = (part, size) => {
+        if (part in keywords) return keywords[part];
+        if (part.endsWith('%')) return parseFloat(part);
+        if (part.endsWith('px')) return size > 0 ? (parseFloat(part) / size) * 100 : 50;
+        return null;
+      };
+      const x = toPercent(parts[0], width);
+      const y = toPercent(parts[1], height);
+      if (x === null || y === null) return null;
+      return { x, y };
+    };
+
+    // Parse a computed linear/radial gradient into { type, angle, center, stops } for a native gradient fill.
+    // Returns null when DrawingML cannot represent it (conic, repeating, layered, non-rgb colors, color hints).
+    const parseCssGradient = (bgImage, width, height) => {
+      if (!bgImage || bgImage === 'none') return null;
+
+      const layers = splitTopLevel(bgImage);
+      if (layers.length !== 1) return null;
+
+      const gradientMatch = layers[0].match(/^(linear|radial)-gradient\((.*)\)$/s);
+      if (!gradientMatch) return null;
+
+      const type = gradientMatch[1];
+      const args = splitTopLevel(gradientMatch[2]);
+      let angle = 180; // CSS default: to bottom
+      let center = { x: 50, y: 50 };
+
+      if (args.length > 0 && !/^rgba?\(/.test(args[0])) {
+        const config = args.shift();
+        if (type === 'linear') {
+          angle = parseGradientAngle(config, width, height);
+          if (angle === null) return null;
+        } else {
+          const atMatch = config.match(/at\s+(.+)$/);
+          if (atMatch) {
+            center = parseGradientCenter(atMatch[1], width, height);
+            if (center === null) return null;
+          }
+        }
+      }
+
+      // Length of the gradient line, used to convert px stop positions to percentages
+      const angleRad = angle * Math.PI / 180;
+      const lineLength = type === 'linear'
+        ? Math.abs(width * Math.sin(angleRad)) + Math.abs(height * Math.cos(angleRad))
+        : Math.sqrt(width * width + height * height) / 2;
+
+      const stops = [];
+      for (const arg of args) {
+        const stopMatch = arg.match(/^(rgba?\([^)]*\))\s*(.*)$/);
+        if (!stopMatch) return null;
+
+        const positions = stopMatch[2].split(/\s+/).filter(Boolean).map(pos => {
+          if (pos.endsWith('%')) return parseFloat(pos);
+          if (pos.endsWith('px')) return lineLength > 0 ? (parseFloat(pos) / lineLength) * 100 : 0;
+          return NaN;
+        });
+        if (positions.some(pos => isNaN(pos))) return null;
+
+        if (positions.length === 0) {
+          stops.push({ color: stopMatch[1], position: null });
+        } else {
+          // Two-position stops ("red 10% 30%") become two stops of the same color
+          positions.forEach(position => stops.push({ color: stopMatch[1], position }));
+        }
+      }
+      if (stops.length < 2) return null;
+
+      // Resolve missing positions the way CSS does: ends default to 0/100, gaps are spread evenly,
+      // and a stop can never sit before the previous one
+      if (stops[0].position === null) stops[0].position = 0;
+      if (stops[stops.length - 1].position === null) stops[stops.length - 1].position = 100;
+      for (let i = 1; i < stops.length; i++) {
+        if (stops[i].position === null) {
+          let next = i + 1;
+          while (stops[next].position === null) next++;
+          const start = stops[i - 1].position;
+          const step = (stops[next].position - start) / (next - i + 1);
+          for (let j = i; j < next; j++) stops[j].position = start + step * (j - i + 1);
+        }
+        stops[i].position = Math.max(stops[i].position, stops[i - 1].position);
+      }
+
+      return {
+        type,
+        angle: ((angle % 360) + 360) % 360,
+        center,
+        stops: stops.map(stop => ({
+          color: rgbToHex(stop.color),
+          transparency: extractAlpha(stop.color) || 0,
+          position: Math.min(100, Math.max(0, stop.position))
+        }))
+      };
+    };
+
+    // Parse per-side CSS borders of a table cell into PptxGenJS cell border array [top, right, bottom, left]
+    const parseCellBorders = (computed) => {
+      return ['Top', 'Right', 'Bottom', 'Left'].map(side => {
+        const width = parseFloat(computed[`border${side}Width`]) || 0;
+        const style = computed[`border${side}Style`];
+        if (width === 0 || style === 'none' || style === 'hidden') return { type: 'none' };
+        return {
+          type: style === 'dashed' || style === 'dotted' ? 'dash' : 'solid',
+          pt: pxToPoints(width),
+          color: rgbToHex(computed[`border${side}Color`])
+        };
+      });
+    };
+
+    // Resolve a table cell's fill: cell background first, then row, row group and table
+    const getTableCellFill = (cell, table) => {
+      let node = cell;
+      while (node && node !== table.parentElement) {
+        const bgColor = window.getComputedStyle(node).backgroundColor;
+        if (bgColor && bgColor !== 'rgba(0, 0, 0, 0)' && bgColor !== 'transparent') {
+          const bgAlpha = extractAlpha(bgColor);
+          return bgAlpha !== null
+            ? { color: rgbToHex(bgColor), transparency: bgAlpha }
+            : { color: rgbToHex(bgColor) };
+        }
+        node = node.parentElement;
+      }
+      return null;
+    };
+
+    // Lay out table cells on a grid, resolving colspan/rowspan the same way the browser does
+    // Returns { slots, numRows, numCols } where each slot is { cell, row, col, rowspan, colspan }
+    const buildTableGrid = (tableRows) => {
+      const numRows = tableRows.length;
+      const occupied = tableRows.map(() => []);
+      const slots = [];
+      let numCols = 0;
+
+      tableRows.forEach((tr, r) => {
+        let c = 0;
+        Array.from(tr.cells).forEach(cell => {
+          while (occupied[r][c]) c++;
+          const colspan = Math.max(1, cell.colSpan || 1);
+          // rowspan="0" spans to the end of the table; never span past the last row
+          const rowspan = Math.min(cell.rowSpan > 0 ? cell.rowSpan : numRows - r, numRows - r);
+          for (let dr = 0; dr < rowspan; dr++) {
+            for (let dc = 0; dc < colspan; dc++) occupied[r + dr][c + dc] = true;
+          }
+          slots.push({ cell, row: r, col: c, rowspan, colspan });
+          c += colspan;
+          numCols = Math.max(numCols, c);
+        });
+      });
+
+      // Pad ragged rows with empty slots so every row covers the full column count
+      occupied.forEach((rowSlots, r) => {
+        for (let c = 0; c < numCols; c++) {
+          if (!rowSlots[c]) slots.push({ cell: null, row: r, col: c, rowspan: 1, colspan: 1 });
+        }
+      });
+      slots.sort((a, b) => a.row - b.row || a.col - b.col);
+
+      return { slots, numRows, numCols };
+    };
+
+    // Convert an SVG elliptical arc (endpoint parameterization) into cubic curve segments
+    const svgArcToCubics = (x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) => {
+      if (x1 === x2 && y1 === y2) return [];
+      if (rx === 0 || ry === 0) return [{ type: 'L', x: x2, y: y2 }];
+      rx = Math.abs(rx);
+      ry = Math.abs(ry);
+
+      // Center parameterization, see SVG 1.1 implementation notes F.6.5
+      const phi = angle * Math.PI / 180;
+      const cos = Math.cos(phi);
+      const sin = Math.sin(phi);
+      const dx = (x1 - x2) / 2;
+      const dy = (y1 - y2) / 2;
+      const x1p = cos * dx + sin * dy;
+      const y1p = -sin * dx + cos * dy;
+      const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+      if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+      }
+      const radicand = (rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p) / (rx * rx * y1p * y1p + ry * ry * x1p * x1p);
+      const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, radicand));
+      const cxp = coef * rx * y1p / ry;
+      const cyp = -coef * ry * x1p / rx;
+      const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+      const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+      const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+      const theta = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+      let delta = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+      if (!sweep && delta > 0) delta -= 2 * Math.PI;
+      if (sweep && delta < 0) delta += 2 * Math.PI;
+
+      // One cubic per quarter turn keeps the approximation error invisible
+      const count = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+      const step = delta / count;
+      const k = 4 / 3 * Math.tan(step / 4);
+      const pointAt = (t) => ({
+        x: cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+        y: cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+      });
+      const tangentAt = (t) => ({
+        x: -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+        y: -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos
+      });
+
+      const curves = [];
+      for (let i = 0; i < count; i++) {
+        const t1 = theta + i * step;
+        const t2 = t1 + step;
+        const p1 = pointAt(t1);
+        const p2 = i === count - 1 ? { x: x2, y: y2 } : pointAt(t2);
+        const d1 = tangentAt(t1);
+        const d2 = tangentAt(t2);
+        curves.push({
+          type: 'C',
+          x1: p1.x + k * d1.x, y1: p1.y + k * d1.y,
+          x2: p2.x - k * d2.x, y2: p2.y - k * d2.y,
+          x: p2.x, y: p2.y
+        });
+      }
+      return curves;
+    };
+
+    // Parse SVG path data into absolute M, L, C, Q and Z segments (H/V/S/T are expanded, arcs become cubics)
+    const parseSvgPathData = (d) => {
+      const tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+      const segments = [];
+      let i = 0;
+      let cmd = null;
+      let x = 0, y = 0, startX = 0, startY = 0;
+      let lastControl = null;
+
+      const isCommand = (token) => /^[A-Za-z]$/.test(token);
+      const readNumber = () => parseFloat(tokens[i++]);
+      // Arc flags may be written without separators ("a1 1 0 011 1")
+      const readFlag = () => {
+        const token = tokens[i];
+        if (token && token.length > 1 && (token[0] === '0' || token[0] === '1')) {
+          tokens[i] = token.slice(1);
+          return token[0] === '1';
+        }
+        i++;
+        return token === '1';
+      };
+
+      while (i < tokens.length) {
+        if (isCommand(tokens[i])) {
+          cmd = tokens[i++];
+        } else if (!cmd) {
+          break;
+        }
+        const rel = cmd === cmd.toLowerCase();
+        const ox = rel ? x : 0;
+        const oy = rel ? y : 0;
+        let segment = null;
+        let control = null;
+
+        switch (cmd.toUpperCase()) {
+          case 'M':
+            x = ox + readNumber();
+            y = oy + readNumber();
+            startX = x;
+            startY = y;
+            segment = { type: 'M', x, y };
+            // Extra coordinate pairs after a moveto are implicit linetos
+            cmd = rel ? 'l' : 'L';
+            break;
+          case 'L':
+            x = ox + readNumber();
+            y = oy + readNumber();
+            segment = { type: 'L', x, y };
+            break;
+          case 'H':
+            x = ox + readNumber();
+            segment = { type: 'L', x, y };
+            break;
+          case 'V':
+            y = oy + readNumber();
+            segment = { type: 'L', x, y };
+            break;
+          case 'C':
+          case 'S': {
+            const reflected = lastControl && lastControl.type === 'C';
+            const x1 = cmd.toUpperCase() === 'S' ? (reflected ? 2 * x - lastControl.x : x) : ox + readNumber();
+            const y1 = cmd.toUpperCase() === 'S' ? (reflected ? 2 * y - lastControl.y : y) : oy + readNumber();
+            const x2 = ox + readNumber();
+            const y2 = oy + readNumber();
+            x = ox + readNumber();
+            y = oy + readNumber();
+            segment = { type: 'C', x1, y1, x2, y2, x, y };
+            control = { type: 'C', x: x2, y: y2 };
+            break;
+          }
+          case 'Q':
+          case 'T': {
+            const reflected = lastControl && lastControl.type === 'Q';
+            const x1 = cmd.toUpperCase() === 'T' ? (reflected ? 2 * x - lastControl.x : x) : ox + readNumber();
+            const y1 = cmd.toUpperCase() === 'T' ? (reflected ? 2 * y - lastControl.y : y) : oy + readNumber();
+            x = ox + readNumber();
+            y = oy + readNumber();
+            segment = { type: 'Q', x1, y1, x, y };
+            control = { type: 'Q', x: x1, y: y1 };
+            break;
+          }
+          case 'A': {
+            const rx = readNumber();
+            const ry = readNumber();
+            const angle = readNumber();
+            const largeArc = readFlag();
+            const sweep = readFlag();
+            const x2 = ox + readNumber();
+            const y2 = oy + readNumber();
+            if ([rx, ry, angle, x2, y2].some(v => !Number.isFinite(v))) return segments;
+            segments.push(...svgArcToCubics(x, y, rx, ry, angle, largeArc, sweep, x2, y2));
+            x = x2;
+            y = y2;
+            break;
+          }
+          case 'Z':
+            segment = { type: 'Z' };
+            x = startX;
+            y = startY;
+            // Numbers right after a closepath are invalid, so stop instead of looping on them
+            cmd = null;
+            break;
+          default:
+            return segments;
+        }
+
+        if (segment) {
+          if (!Object.values(segment).every(v => typeof v === 'string' || Number.isFinite(v))) return segments;
+          segments.push(segment);
+        }
+        lastControl = control;
+      }
+      return segments;
+    };
+
+    // Outline of an SVG primitive (rect, circle, ellipse, line, polyline, polygon, path) as path segments in user units
+    const getSvgShapeSegments = (node) => {
+      const tag = node.tagName.toLowerCase();
+      const ellipseSegments = (cx, cy, rx, ry) => [
+        { type: 'M', x: cx + rx, y: cy },
+        ...svgArcToCubics(cx + rx, cy, rx, ry, 0, false, true, cx - rx, cy),
+        ...svgArcToCubics(cx - rx, cy, rx, ry, 0, false, true, cx + rx, cy),
+        { type: 'Z' }
+      ];
+
+      if (tag === 'path') return parseSvgPathData(node.getAttribute('d') || '');
+      if (tag === 'line') {
+        return [
+          { type: 'M', x: node.x1.baseVal.value, y: node.y1.baseVal.value },
+          { type: 'L', x: node.x2.baseVal.value, y: node.y2.baseVal.value }
+        ];
+      }
+      if (tag === 'polyline' || tag === 'polygon') {
+        const points = Array.from(node.points);
+        const segments = points.map((p, idx) => ({ type: idx === 0 ? 'M' : 'L', x: p.x, y: p.y }));
+        if (tag === 'polygon' && segments.length > 0) segments.push({ type: 'Z' });
+        return segments;
+      }
+      if (tag === 'circle') {
+        const r = node.r.baseVal.value;
+        return r > 0 ? ellipseSegments(node.cx.baseVal.value, node.cy.baseVal.value, r, r) : [];
+      }
+      if (tag === 'ellipse') {
+        const rx = node.rx.baseVal.value;
+        const ry = node.ry.baseVal.value;
+        return rx > 0 && ry > 0 ? ellipseSegments(node.cx.baseVal.value, node.cy.baseVal.value, rx, ry) : [];
+      }
+      if (tag === 'rect') {
+        const x = node.x.baseVal.value;
+        const y = node.y.baseVal.value;
+        const w = node.width.baseVal.value;
+        const h = node.height.baseVal.value;
+        if (w <= 0 || h <= 0) return [];
+        const { rx, ry } = getSvgRectRadii(node);
+        if (rx === 0 || ry === 0) {
+          return [
+            { type: 'M', x, y }, { type: 'L', x: x + w, y }, { type: 'L', x: x + w, y: y + h },
+            { type: 'L', x, y: y + h }, { type: 'Z' }
+          ];
+        }
+        const corner = (x1, y1, x2, y2) => svgArcToCubics(x1, y1, rx, ry, 0, false, true, x2, y2);
+        return [
+          { type: 'M', x: x + rx, y },
+          { type: 'L', x: x + w - rx, y },
+          ...corner(x + w - rx, y, x + w, y + ry),
+          { type: 'L', x: x + w, y: y + h - ry },
+          ...corner(x + w, y + h - ry, x + w - rx, y + h),
+          { type: 'L', x: x + rx, y: y + h },
+          ...corner(x + rx, y + h, x, y + h - ry),
+          { type: 'L', x, y: y + ry },
+          ...corner(x, y + ry, x + rx, y),
+          { type: 'Z' }
+        ];
+      }
+      return [];
+    };
+
+    // Corner radii of an SVG <rect>: a missing rx/ry falls back to the other one, both are clamped to half the size
+    const getSvgRectRadii = (node) => {
+      const hasRx = node.hasAttribute('rx');
+      const hasRy = node.hasAttribute('ry');
+      let rx = hasRx ? node.rx.baseVal.value : (hasRy ? node.ry.baseVal.value : 0);
+      let ry = hasRy ? node.ry.baseVal.value : rx;
+      rx = Math.min(rx, node.width.baseVal.value / 2);
+      ry = Math.min(ry, node.height.baseVal.value / 2);
+      return { rx, ry };
+    };
+
+    // Resolve an SVG fill/stroke paint to { color, transparency }; gradient and pattern paints use their first stop
+    const parseSvgPaint = (paint, opacity) => {
+      if (!paint || paint === 'none') return null;
+      let colorStr = paint;
+      const urlMatch = paint.match(/url\(["']?#([^"')]+)["']?\)/);
+      if (urlMatch) {
+        const server = document.getElementById(urlMatch[1]);
+        const stop = server && server.querySelector('stop');
+        if (!stop) {
+          // Use the fallback color of "url(#id) <color>" if there is one
+          const fallback = paint.slice(paint.indexOf(')') + 1).trim();
+          if (!fallback.startsWith('rgb')) return null;
+          colorStr = fallback;
+        } else {
+          console.warn(`Warning: SVG paint server #${urlMatch[1]} is approximated by its first color stop`);
+          const stopStyle = window.getComputedStyle(stop);
+          colorStr = stopStyle.stopColor;
+          opacity *= parseFloat(stopStyle.stopOpacity);
+        }
+      }
+      if (!colorStr.startsWith('rgb')) return null;
+
+      const alpha = (1 - (extractAlpha(colorStr) || 0) / 100) * opacity;
+      if (alpha <= 0) return null;
+      return { color: rgbToHex(colorStr), transparency: alpha < 1 ? Math.round((1 - alpha) * 100) : null };
+    };
+
+    // Combined opacity of an SVG element and its groups below the root <svg>
+    // (the <svg> element's own and inherited opacity is applied like for any other element)
+    const getSvgOpacity = (node, svg) => {
+      let opacity = 1;
+      for (let current = node; current && current !== svg; current = current.parentNode) {
+        opacity *= parseFloat(window.getComputedStyle(current).opacity);
+      }
+      return opacity;
+    };
+
+    // Express path segments in page pixels as custom geometry: the bounding box position plus points relative to it (inches)
+    const segmentsToCustomGeometry = (segments) => {
+      const xs = [];
+      const ys = [];
+      segments.forEach(seg => {
+        ['', '1', '2'].forEach(suffix => {
+          if (seg['x' + suffix] !== undefined) {
+            xs.push(seg['x' + suffix]);
+            ys.push(seg['y' + suffix]);
+          }
+        });
+      });
+      const left = Math.min(...xs);
+      const top = Math.min(...ys);
+      // A zero-sized path box cannot be scaled by PowerPoint, so straight horizontal/vertical paths get 1px
+      const width = Math.max(Math.max(...xs) - left, 1);
+      const height = Math.max(Math.max(...ys) - top, 1);
+
+      const relX = (value) => pxToInch(value - left);
+      const relY = (value) => pxToInch(value - top);
+      const points = segments.map(seg => {
+        if (seg.type === 'Z') return { close: true };
+        if (seg.type === 'M') return { x: relX(seg.x), y: relY(seg.y), moveTo: true };
+        if (seg.type === 'C') {
+          return { x: relX(seg.x), y: relY(seg.y), curve: { type: 'cubic', x1: relX(seg.x1), y1: relY(seg.y1), x2: relX(seg.x2), y2: relY(seg.y2) } };
+        }
+        if (seg.type === 'Q') {
+          return { x: relX(seg.x), y: relY(seg.y), curve: { type: 'quadratic', x1: relX(seg.x1), y1: relY(seg.y1) } };
+        }
+        return { x: relX(seg.x), y: relY(seg.y) };
+      });
+
+      return {
+        position: { x: pxToInch(left), y: pxToInch(top), w: pxToInch(width), h: pxToInch(height) },
+        points
+      };
+    };
+
+    // Convert an SVG primitive into a native shape in slide coordinates. getScreenCTM covers
+    // viewBox scaling and every transform, so axis-aligned rects and ellipses stay presets and
+    // anything rotated or skewed becomes custom geometry with the transform baked into its points.
+    const svgPrimitiveToElement = (node, svg) => {
+      const m = node.getScreenCTM();
+      if (!m) return null;
+      const tag = node.tagName.toLowerCase();
+      const toScreen = (px, py) => ({ x: m.a * px + m.c * py + m.e, y: m.b * px + m.d * py + m.f });
+      const scale = Math.sqrt(Math.abs(m.a * m.d - m.b * m.c));
+
+      const computed = window.getComputedStyle(node);
+      const opacity = getSvgOpacity(node, svg);
+      const fill = tag === 'line' ? null : parseSvgPaint(computed.fill, opacity * parseFloat(computed.fillOpacity));
+      const stroke = parseSvgPaint(computed.stroke, opacity * parseFloat(computed.strokeOpacity));
+      const strokeWidth = (parseFloat(computed.strokeWidth) || 0) * scale;
+      const line = stroke && strokeWidth > 0 ? {
+        color: stroke.color,
+        width: pxToPoints(strokeWidth),
+        ...(stroke.transparency !== null && { transparency: stroke.transparency }),
+        ...(computed.strokeDasharray && computed.strokeDasharray !== 'none' && { dashType: 'dash' })
+      } : null;
+      if (!fill && !line) return null;
+
+      const segments = getSvgShapeSegments(node);
+      if (segments.length < 2) return null;
+
+      const shape = {
+        fill: fill ? fill.color : null,
+        transparency: fill ? fill.transparency : null,
+        line: line
+      };
+
+      if (tag === 'line') {
+        const p1 = toScreen(segments[0].x, segments[0].y);
+        const p2 = toScreen(segments[1].x, segments[1].y);
+        return {
+          type: 'shape',
+          text: '',
+          position: {
+            x: pxToInch(Math.min(p1.x, p2.x)),
+            y: pxToInch(Math.min(p1.y, p2.y)),
+            w: pxToInch(Math.abs(p2.x - p1.x)),
+            h: pxToInch(Math.abs(p2.y - p1.y))
+          },
+          // Preset lines run from the top-left to the bottom-right corner unless flipped
+          shape: { ...shape, geometry: 'line', flipV: (p2.x - p1.x) * (p2.y - p1.y) < 0 }
+        };
+      }
+
+      const axisAligned = Math.abs(m.b) < 1e-6 && Math.abs(m.c) < 1e-6 && m.a > 0 && m.d > 0;
+      const radii = tag === 'rect' ? getSvgRectRadii(node) : null;
+      const presetGeometry = tag === 'circle' || tag === 'ellipse' ? 'ellipse'
+        : tag === 'rect' && (radii.rx === 0 || radii.ry === 0) ? 'rect'
+          : tag === 'rect' && Math.abs(radii.rx * m.a - radii.ry * m.d) < 0.5 ? 'roundRect' : null;
+
+      if (axisAligned && presetGeometry) {
+        const bbox = node.getBBox();
+        const topLeft = toScreen(bbox.x, bbox.y);
+        return {
+          type: 'shape',
+          text: '',
+          position: {
+            x: pxToInch(topLeft.x),
+            y: pxToInch(topLeft.y),
+            w: pxToInch(bbox.width * m.a),
+            h: pxToInch(bbox.height * m.d)
+          },
+          shape: {
+            ...shape,
+            geometry: presetGeometry,
+            rectRadius: presetGeometry === 'roundRect' ? pxToInch(radii.rx * m.a) : 0
+          }
+        };
+      }
+
+      // Custom geometry: transform every point, then express the path relative to its bounding box
+      const screenSegments = segments.map(seg => {
+        if (seg.type === 'Z') return seg;
+        const mapped = { type: seg.type, ...toScreen(seg.x, seg.y) };
+        if (seg.type === 'C' || seg.type === 'Q') {
+          const c1 = toScreen(seg.x1, seg.y1);
+          mapped.x1 = c1.x;
+          mapped.y1 = c1.y;
+        }
+        if (seg.type === 'C') {
+          const c2 = toScreen(seg.x2, seg.y2);
+          mapped.x2 = c2.x;
+          mapped.y2 = c2.y;
+        }
+        return mapped;
+      });
+
+      const { position, points } = segmentsToCustomGeometry(screenSegments);
+      return {
+        type: 'shape',
+        text: '',
+        position,
+        shape: { ...shape, geometry: 'custGeom', points }
+      };
+    };
+
+    // Convert SVG <text> into a text box, rotated with its transform
+    const svgTextToElement = (node, svg) => {
+      const text = node.textContent.replace(/\s+/g, ' ').trim();
+      const m = node.getScreenCTM();
+      if (!text || !m) return null;
+
+      const computed = window.getComputedStyle(node);
+      const paint = parseSvgPaint(computed.fill, getSvgOpacity(node, svg) * parseFloat(computed.fillOpacity));
+      if (!paint) return null;
+
+      const bbox = node.getBBox();
+      const scaleX = Math.hypot(m.a, m.b);
+      const scaleY = Math.hypot(m.c, m.d);
+      const centerX = m.a * (bbox.x + bbox.width / 2) + m.c * (bbox.y + bbox.height / 2) + m.e;
+      const centerY = m.b * (bbox.x + bbox.width / 2) + m.d * (bbox.y + bbox.height / 2) + m.f;
+      const w = bbox.width * scaleX;
+      const h = bbox.height * scaleY;
+      const rotation = Math.round(Math.atan2(m.b, m.a) * 180 / Math.PI);
+      const anchor = computed.textAnchor;
+
+      return {
+        type: 'text',
+        text: text,
+        position: {
+          x: pxToInch(centerX - w / 2),
+          y: pxToInch(centerY - h / 2),
+          w: pxToInch(w),
+          h: pxToInch(h)
+        },
+        style: {
+          fontSize: pxToPoints(parseFloat(computed.fontSize) * scaleY),
+          fontFace: computed.fontFamily.split(',')[0].replace(/['"]/g, '').trim(),
+          color: paint.color,
+          transparency: paint.transparency,
+          bold: computed.fontWeight === 'bold' || parseInt(computed.fontWeight) >= 600,
+          italic: computed.fontStyle === 'italic',
+          align: anchor === 'middle' ? 'center' : anchor === 'end' ? 'right' : 'left',
+          valign: 'middle',
+          paraSpaceBefore: 0,
+          paraSpaceAfter: 0,
+          margin: [0, 0, 0, 0],
+          wrap: false,
+          ...(rotation !== 0 && { rotate: (rotation + 360) % 360 })
+        }
+      };
+    };
+
+    // Resolve a CSS length or percentage (of `reference`) to px; calc() and other expressions give null
+    const resolveCssLength = (value, reference) => {
+      if (!/^-?[\d.]+(px|%)?$/.test(value)) return null;
+      return value.endsWith('%') ? parseFloat(value) / 100 * reference : parseFloat(value);
+    };
+
+    // Border radii per corner [top-left, top-right, bottom-right, bottom-left] as { rx, ry } in px,
+    // scaled down together like CSS does when adjacent radii would overlap
+    const getCornerRadii = (values, width, height) => {
+      const corners = values.map(value => {
+        const [h, v = h] = value.trim().split(/\s+/);
+        const rx = resolveCssLength(h, width) || 0;
+        const ry = resolveCssLength(v, height) || 0;
+        return rx > 0 && ry > 0 ? { rx, ry } : { rx: 0, ry: 0 };
+      });
+      const [tl, tr, br, bl] = corners;
+      const factor = Math.min(1,
+        width / (tl.rx + tr.rx) || 1, width / (bl.rx + br.rx) || 1,
+        height / (tl.ry + bl.ry) || 1, height / (tr.ry + br.ry) || 1);
+      return corners.map(({ rx, ry }) => ({ rx: rx * factor, ry: ry * factor }));
+    };
+
+    // Geometry for a box with corner radii: rect, ellipse (fully rounded), roundRect (equal circular corners,
+    // including pills) or custom geometry for mixed corners. Position is in inches when the box is custom
+    const getRoundedBoxGeometry = (left, top, width, height, radii) => {
+      if (radii.every(r => r.rx === 0)) return { geometry: 'rect', rectRadius: 0 };
+
+      const near = (a, b) => Math.abs(a - b) < 0.5;
+      if (radii.every(r => near(r.rx, width / 2) && near(r.ry, height / 2))) return { geometry: 'ellipse' };
+
+      const [tl, tr, br, bl] = radii;
+      if (radii.every(r => near(r.rx, tl.rx) && near(r.ry, tl.ry)) && near(tl.rx, tl.ry)) {
+        return { geometry: 'roundRect', rectRadius: pxToInch(tl.rx) };
+      }
+
+      const corner = (x1, y1, r, x2, y2) => r.rx > 0 ? svgArcToCubics(x1, y1, r.rx, r.ry, 0, false, true, x2, y2) : [];
+      const right = left + width;
+      const bottom = top + height;
+      return {
+        geometry: 'custGeom',
+        ...segmentsToCustomGeometry([
+          { type: 'M', x: left + tl.rx, y: top },
+          { type: 'L', x: right - tr.rx, y: top },
+          ...corner(right - tr.rx, top, tr, right, top + tr.ry),
+          { type: 'L', x: right, y: bottom - br.ry },
+          ...corner(right, bottom - br.ry, br, right - br.rx, bottom),
+          { type: 'L', x: left + bl.rx, y: bottom },
+          ...corner(left + bl.rx, bottom, bl, left, bottom - bl.ry),
+          { type: 'L', x: left, y: top + tl.ry },
+          ...corner(left, top + tl.ry, tl, left + tl.rx, top),
+          { type: 'Z' }
+        ])
+      };
+    };
+
+    // Convert a computed CSS clip-path basic shape (polygon, circle, ellipse, inset, path) into geometry for
+    // the clipped area of `rect`; null for url() references and values that cannot be resolved
+    const parseClipPath = (clipPath, rect) => {
+      const match = clipPath.match(/^(polygon|circle|ellipse|inset|path)\((.*)\)/);
+      if (!match) return null;
+      const [, shapeType, args] = match;
+      const { left, top, width, height } = rect;
+
+      // "at <x> <y>" center of circle()/ellipse(), keywords or lengths, default center
+      const resolveCenter = (positionStr) => {
+        const keywords = { left: '0%', top: '0%', center: '50%', right: '100%', bottom: '100%' };
+        let [x = 'center', y = 'center'] = (positionStr || '').trim().split(/\s+/).filter(Boolean);
+        if (x === 'top' || x === 'bottom' || y === 'left' || y === 'right') [x, y] = [y, x];
+        return { cx: resolveCssLength(keywords[x] || x, width), cy: resolveCssLength(keywords[y] || y, height) };
+      };
+      // closest-side (default) and farthest-side radii along one axis
+      const resolveRadius = (value, center, size, reference) => {
+        if (!value || value === 'closest-side') return Math.min(center, size - center);
+        if (value === 'farthest-side') return Math.max(center, size - center);
+        return resolveCssLength(value, reference);
+      };
+      const ellipseGeometry = (cx, cy, rx, ry) => {
+        if (![cx, cy, rx, ry].every(Number.isFinite) || rx <= 0 || ry <= 0) return null;
+        return {
+          geometry: 'ellipse',
+          position: { x: pxToInch(left + cx - rx), y: pxToInch(top + cy - ry), w: pxToInch(rx * 2), h: pxToInch(ry * 2) }
+        };
+      };
+
+      if (shapeType === 'polygon') {
+        const pairs = splitTopLevel(args.replace(/^(nonzero|evenodd)\s*,\s*/, ''));
+        const segments = pairs.map((pair, idx) => {
+          const [x, y] = pair.split(/\s+/);
+          return { type: idx === 0 ? 'M' : 'L', x: left + resolveCssLength(x, width), y: top + resolveCssLength(y, height) };
+        });
+        if (segments.length < 3 || segments.some(seg => !Number.isFinite(seg.x) || !Number.isFinite(seg.y))) return null;
+        return { geometry: 'custGeom', ...segmentsToCustomGeometry([...segments, { type: 'Z' }]) };
+      }
+
+      if (shapeType === 'circle') {
+        const [radiusStr, positionStr] = args.split(/\s*\bat\b\s*/);
+        const { cx, cy } = resolveCenter(positionStr);
+        let r;
+        if (!radiusStr || radiusStr === 'closest-side') r = Math.min(cx, width - cx, cy, height - cy);
+        else if (radiusStr === 'farthest-side') r = Math.max(cx, width - cx, cy, height - cy);
+        else r = resolveCssLength(radiusStr, Math.sqrt(width * width + height * height) / Math.SQRT2);
+        return ellipseGeometry(cx, cy, r, r);
+      }
+
+      if (shapeType === 'ellipse') {
+        const [radiiStr, positionStr] = args.split(/\s*\bat\b\s*/);
+        const { cx, cy } = resolveCenter(positionStr);
+        const [rxStr, ryStr] = (radiiStr || '').trim().split(/\s+/).filter(Boolean);
+        return ellipseGeometry(cx, cy, resolveRadius(rxStr, cx, width, width), resolveRadius(ryStr, cy, height, height));
+      }
+
+      if (shapeType === 'inset') {
+        const [insetStr, roundStr] = args.split(/\s*\bround\b\s*/);
+        const insets = insetStr.trim().split(/\s+/);
+        // Same shorthand expansion as margin: top, right, bottom, left
+        const [t, r = t, b = t, l = r] = insets;
+        const [insetTop, insetBottom] = [t, b].map(v => resolveCssLength(v, height));
+        const [insetRight, insetLeft] = [r, l].map(v => resolveCssLength(v, width));
+        if ([insetTop, insetRight, insetBottom, insetLeft].some(v => v === null)) return null;
+
+        const boxWidth = width - insetLeft - insetRight;
+        const boxHeight = height - insetTop - insetBottom;
+        if (boxWidth <= 0 || boxHeight <= 0) return null;
+
+        // border-radius shorthand: "h1 h2 h3 h4 / v1 v2 v3 v4"
+        const expand = (str) => {
+          const [a, b2 = a, c = a, d = b2] = str.trim().split(/\s+/);
+          return [a, b2, c, d];
+        };
+        const [horizontal, vertical] = (roundStr || '0px').split('/');
+        const hRadii = expand(horizontal);
+        const vRadii = vertical ? expand(vertical) : hRadii;
+        const radii = getCornerRadii(hRadii.map((h, idx) => `${h} ${vRadii[idx]}`), boxWidth, boxHeight);
+
+        const boxLeft = left + insetLeft;
+        const boxTop = top + insetTop;
+        const geometry = getRoundedBoxGeometry(boxLeft, boxTop, boxWidth, boxHeight, radii);
+        if (geometry.position) return geometry;
+        return {
+          ...geometry,
+          position: { x: pxToInch(boxLeft), y: pxToInch(boxTop), w: pxToInch(boxWidth), h: pxToInch(boxHeight) }
+        };
+      }
+
+      // path("...") coordinates are px relative to the border box
+      const pathData = args.replace(/^(nonzero|evenodd)\s*,\s*/, '').trim().replace(/^["']|["']$/g, '');
+      const segments = parseSvgPathData(pathData).map(seg => {
+        const moved = { ...seg };
+        ['', '1', '2'].forEach(suffix => {
+          if (moved['x' + suffix] !== undefined) {
+            moved['x' + suffix] += left;
+            moved['y' + suffix] += top;
+          }
+        });
+        return moved;
+      });
+      if (segments.length < 2) return null;
+      return { geometry: 'custGeom', ...segmentsToCustomGeometry(segments) };
+    };
+
+    // Shape geometry of an HTML box from clip-path and border-radius:
+    // { geometry, rectRadius?, points?, position? } where position (inches) replaces the box when set
+    const getBoxGeometry = (computed, rect) => {
+      if (computed.clipPath && computed.clipPath !== 'none') {
+        const clipGeometry = parseClipPath(computed.clipPath, rect);
+        if (clipGeometry) return clipGeometry;
+        console.warn(`Warning: clip-path "${computed.clipPath}" is not supported, the shape keeps its box`);
+      }
+      const radii = getCornerRadii(
+        [computed.borderTopLeftRadius, computed.borderTopRightRadius, computed.borderBottomRightRadius, computed.borderBottomLeftRadius],
+        rect.width, rect.height
+      );
+      return getRoundedBoxGeometry(rect.left, rect.top, rect.width, rect.height, radii);
+    };
+
+    // Normalize a CSS color string to { color, alpha } with the canvas color parser (handles names, hex, rgb/hsl)
+    let colorParser = null;
+    const parseCssColor = (value) => {
+      if (typeof value !== 'string' || !value) return null;
+      if (!colorParser) colorParser = document.createElement('canvas').getContext('2d');
+      colorParser.fillStyle = '#000000';
+      colorParser.fillStyle = value;
+      const normalized = colorParser.fillStyle;
+      if (normalized.startsWith('#')) return { color: normalized.slice(1).toUpperCase(), alpha: 1 };
+      const alpha = 1 - (extractAlpha(normalized) || 0) / 100;
+      return { color: rgbToHex(normalized), alpha };
+    };
+
+    // Read the live Chart.js instance of a <canvas> (v2-v4) into { chartType, data, options } for slide.addChart.
+    // Returns null when there is no instance or the chart has no PowerPoint equivalent (mixed, polar area, bubble).
+    const readChartJsChart = (canvas) => {
+      const ChartJs = window.Chart;
+      if (!ChartJs) return null;
+      const chart = typeof ChartJs.getChart === 'function'
+        ? ChartJs.getChart(canvas)
+        : Object.values(ChartJs.instances || {}).find(instance => instance.canvas === canvas);
+      if (!chart || !chart.config || !chart.data || !Array.isArray(chart.data.datasets)) return null;
+
+      const baseType = chart.config.type;
+      const datasetIndexes = chart.data.datasets
+        .map((ds, idx) => idx)
+        .filter(idx => typeof chart.isDatasetVisible === 'function' ? chart.isDatasetVisible(idx) : !chart.data.datasets[idx].hidden);
+      const datasets = datasetIndexes.map(idx => chart.data.datasets[idx]);
+      if (datasets.length === 0 || datasets.some(ds => ds.type && ds.type !== baseType)) return null;
+
+      let chartType = {
+        bar: 'bar', horizontalBar: 'bar', line: 'line', pie: 'pie', doughnut: 'doughnut', radar: 'radar', scatter: 'scatter'
+      }[baseType];
+      if (!chartType) return null;
+      if (chartType === 'line' && datasets.every(ds => ds.fill && ds.fill !== 'false')) chartType = 'area';
+      const isCircular = chartType === 'pie' || chartType === 'doughnut';
+
+      // v2 keeps axes in scales.xAxes/yAxes arrays, v3+ in scales.x/y
+      const options = chart.options || {};
+      const scales = options.scales || {};
+      const isV2Scales = Array.isArray(scales.xAxes) || Array.isArray(scales.yAxes);
+      const xScale = (isV2Scales ? (scales.xAxes || [])[0] : scales.x) || {};
+      const yScale = (isV2Scales ? (scales.yAxes || [])[0] : scales.y) || {};
+      const horizontal = baseType === 'horizontalBar' || options.indexAxis === 'y';
+      const catScale = horizontal ? yScale : xScale;
+      const valScale = horizontal ? xScale : yScale;
+      const plugins = options.plugins || {};
+      const titleOptions = plugins.title || options.title || {};
+      const legendOptions = plugins.legend || options.legend || {};
+      const joinText = (text) => (Array.isArray(text) ? text.join(' ') : text ? String(text) : '');
+      const axisTitle = (scale) => {
+        const title = scale.title || scale.scaleLabel;
+        return title && title.display ? joinText(title.text !== undefined ? title.text : title.labelString) : '';
+      };
+
+      // Series data
+      const labels = (chart.data.labels || []).map(joinText);
+      const valueKey = horizontal ? 'x' : 'y';
+      const toValue = (point) => (point !== null && typeof point === 'object' ? point[valueKey] : point);
+      let data;
+      if (chartType === 'scatter') {
+        // PowerPoint scatter series share one set of X values
+        const xValues = datasets[0].data.map(point => point.x);
+        const sharesX = datasets.every(ds => ds.data.length === xValues.length && ds.data.every((point, idx) => point.x === xValues[idx]));
+        if (!sharesX) return null;
+        data = [
+          { name: 'X-Axis', values: xValues },
+          ...datasets.map((ds, idx) => ({ name: ds.label || `Series ${idx + 1}`, values: ds.data.map(point => point.y) }))
+        ];
+      } else {
+        const seriesDatasets = chartType === 'pie' ? datasets.slice(0, 1) : datasets;
+        data = seriesDatasets.map((ds, idx) => ({ name: ds.label || `Series ${idx + 1}`, labels, values: ds.data.map(toValue) }));
+      }
+
+      // Colors resolved by Chart.js itself (includes defaults and scriptable options), falling back to the dataset config
+      const colorKey = ['line', 'radar', 'scatter'].includes(chartType) ? 'borderColor' : 'backgroundColor';
+      const resolvedColor = (datasetIndex, pointIndex) => {
+        const meta = typeof chart.getDatasetMeta === 'function' ? chart.getDatasetMeta(datasetIndex) : null;
+        const element = meta && meta.data && meta.data[pointIndex];
+        const props = element && (element.options || element._model);
+        const configured = chart.data.datasets[datasetIndex][colorKey];
+        return parseCssColor(props && typeof props[colorKey] === 'string' ? props[colorKey]
+          : Array.isArray(configured) ? configured[pointIndex % configured.length] : configured);
+      };
+      // Pies and single-series bars with per-bar colors are colored per point, everything else per series
+      const firstColors = datasets[0][colorKey];
+      const perPoint = isCircular || (chartType === 'bar' && datasets.length === 1 && Array.isArray(firstColors) && firstColors.length > 1);
+      const colors = (perPoint
+        ? labels.map((label, idx) => resolvedColor(datasetIndexes[0], idx))
+        : datasetIndexes.map(datasetIndex => resolvedColor(datasetIndex, 0))
+      ).filter(Boolean);
+
+      const chartOptions = {
+        showLegend: legendOptions.display !== false,
+        legendPos: { top: 't', bottom: 'b', left: 'l', right: 'r' }[legendOptions.position] || 't'
+      };
+      if (colors.length > 0) {
+        chartOptions.chartColors = colors.map(c => c.color);
+        if (colors[0].alpha < 1) chartOptions.chartColorsOpacity = Math.round(colors[0].alpha * 100);
+      }
+      if (titleOptions.display && joinText(titleOptions.text)) {
+        chartOptions.showTitle = true;
+        chartOptions.title = joinText(titleOptions.text);
+      }
+      if (!isCircular && chartType !== 'radar') {
+        const catTitle = axisTitle(catScale);
+        const valTitle = axisTitle(valScale);
+        if (catTitle) Object.assign(chartOptions, { showCatAxisTitle: true, catAxisTitle: catTitle });
+        if (valTitle) Object.assign(chartOptions, { showValAxisTitle: true, valAxisTitle: valTitle });
+      }
+      if (chartType === 'bar') {
+        chartOptions.barDir = horizontal ? 'bar' : 'col';
+        if (catScale.stacked || valScale.stacked) chartOptions.barGrouping = 'stacked';
+      }
+      if (['line', 'area', 'radar', 'scatter'].includes(chartType)) {
+        const first = datasets[0];
+        if (first.borderWidth !== undefined) chartOptions.lineSize = first.borderWidth;
+        if (first.pointRadius === 0) chartOptions.lineDataSymbol = 'none';
+        if ((first.tension !== undefined ? first.tension : first.lineTension) > 0) chartOptions.lineSmooth = true;
+      }
+      if (chartType === 'doughnut') {
+        // v3+ cutout is '50%' (or pixels), v2 cutoutPercentage is a number
+        if (typeof options.cutout === 'string' && options.cutout.endsWith('%')) chartOptions.holeSize = parseFloat(options.cutout);
+        else if (typeof options.cutoutPercentage === 'number') chartOptions.holeSize = options.cutoutPercentage;
+      }
+
+      return { chartType, data, options: chartOptions };
+    };
+
+    // Read canvas pixels as a PNG data URL. Returns null for tainted canvases (cross-origin images)
+    // and for canvases that read back blank, like WebGL without preserveDrawingBuffer.
+    const readCanvasImage = (canvas) => {
+      if (canvas.width === 0 || canvas.height === 0) return null;
+      try {
+        const dataUrl = canvas.toDataURL('image/png');
+        const blank = document.createElement('canvas');
+        blank.width = canvas.width;
+        blank.height = canvas.height;
+        return dataUrl === blank.toDataURL('image/png') ? null : dataUrl;
+      } catch (err) {
+        console.warn(`Warning: <canvas${canvas.id ? ` id="${canvas.id}"` : ''}> is tainted by cross-origin content and cannot be read (${err.name}); capturing a screenshot instead.`);
+        return null;
+      }
+    };
+
+    // Describe the icon-font glyph an icon element draws (Font Awesome ::before content, Material Icons ligature text),
+    // so it can be embedded as vector. Elements with their own background or child elements keep being screenshotted.
+    const readIconGlyph = (el) => {
+      if (el.children.length > 0) return null;
+      const computed = window.getComputedStyle(el);
+      const hasBg = computed.backgroundColor !== 'rgba(0, 0, 0, 0)' || computed.backgroundImage !== 'none';
+      if (hasBg) return null;
+
+      const before = window.getComputedStyle(el, '::before');
+      const contentMatch = before.content && before.content.match(/^["'](.+)["']$/);
+      const className = typeof el.className === 'string' ? el.className : '';
+      let text = null;
+      let style = before;
+      if (contentMatch && !el.textContent.trim()) {
+        text = contentMatch[1].replace(/\\(.)/g, '$1');
+      } else if (/material-(icons|symbols)/.test(className) && el.textContent.trim()) {
+        text = el.textContent.trim();
+        style = computed;
+      }
+      if (!text) return null;
+
+      return {
+        text,
+        fontFamily: style.fontFamily,
+        fontWeight: parseInt(style.fontWeight) || 400,
+        fontSize: parseFloat(style.fontSize),
+        color: style.color
+      };
+    };
+
+    // Format a counter value in a CSS list-style-type (decimal, alpha, roman; unknown styles fall back to decimal)
+    const formatCounter = (value, styleType) => {
+      const toAlpha = (n) => {
+        let result = '';
+        for (let rest = n; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+          result = String.fromCharCode(65 + ((rest - 1) % 26)) + result;
+        }
+        return result || String(n);
+      };
+      const toRoman = (n) => {
+        if (n <= 0 || n >= 4000) return String(n);
+        const numerals = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+          [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+        let result = '';
+        let rest = n;
+        numerals.forEach(([amount, numeral]) => {
+          for (; rest >= amount; rest -= amount) result += numeral;
+        });
+        return result;
+      };
+
+      switch (styleType) {
+        case 'decimal-leading-zero': return (value >= 0 && value < 10 ? '0' : '') + value;
+        case 'lower-alpha':
+        case 'lower-latin': return toAlpha(value).toLowerCase();
+        case 'upper-alpha':
+        case 'upper-latin': return toAlpha(value);
+        case 'lower-roman': return toRoman(value).toLowerCase();
+        case 'upper-roman': return toRoman(value);
+        case 'disc': return '•';
+        case 'circle': return '◦';
+        case 'square': return '▪';
+        case 'none': return '';
+        default: return String(value);
+      }
+    };
+
+    // PowerPoint auto-number schemes for ordered list-style-types; other counter styles number in decimal
+    const AUTO_NUMBER_SCHEMES = {
+      'decimal': 'arabicPeriod',
+      'decimal-leading-zero': 'arabicPeriod',
+      'lower-alpha': 'alphaLcPeriod',
+      'lower-latin': 'alphaLcPeriod',
+      'upper-alpha': 'alphaUcPeriod',
+      'upper-latin': 'alphaUcPeriod',
+      'lower-roman': 'romanLcPeriod',
+      'upper-roman': 'romanUcPeriod'
+    };
+    // Unicode code points (PptxGenJS characterCode) of the CSS bullet shapes
+    const BULLET_CHARACTERS = { 'disc': '2022', 'circle': '25E6', 'square': '25AA', 'disclosure-closed': '25B8', 'disclosure-open': '25BE' };
+
+    // Bullet of a list item from list-style-type, list-style-image and ::marker: { characterCode } for bullet shapes
+    // and string markers, { type: 'number', style } for counters, plus image (URL) and color (hex) when the marker
+    // has its own picture or a color other than the item text. Returns false for list-style-type: none
+    const getListBullet = (li, computed, textColor) => {
+      const bullet = {};
+      const imageMatch = (computed.listStyleImage || '').match(/^url\("?([^")]+)"?\)$/);
+      if (imageMatch && !/\.svg([?#]|$)|^data:image\/svg/i.test(imageMatch[1])) bullet.image = imageMatch[1];
+
+      const type = computed.listStyleType || 'disc';
+      const stringMatch = type.match(/^["'](.*)["']$/);
+      if (type === 'none') {
+        if (!bullet.image) return false;
+      } else if (BULLET_CHARACTERS[type]) {
+        bullet.characterCode = BULLET_CHARACTERS[type];
+      } else if (stringMatch) {
+        // String markers ("→ ") keep their first character; PptxGenJS bullets hold a single BMP character
+        const code = stringMatch[1].trim().codePointAt(0);
+        if (code && code <= 0xFFFF) bullet.characterCode = code.toString(16).toUpperCase().padStart(4, '0');
+      } else {
+        bullet.type = 'number';
+        bullet.style = AUTO_NUMBER_SCHEMES[type] || 'arabicPeriod';
+      }
+
+      // PowerPoint colors a bullet like the first run of its paragraph, CSS like the list item (or ::marker)
+      const markerColor = window.getComputedStyle(li, '::marker').color || computed.color;
+      if (rgbToHex(markerColor) !== textColor) {
+        bullet.color = rgbToHex(markerColor);
+        const transparency = extractAlpha(markerColor);
+        if (transparency) bullet.transparency = transparency;
+      }
+      return bullet;
+    };
+
+    // Snapshot CSS counter values at every ::before/::after whose content uses counter()/counters().
+    // Counters are tracked flat in document order; nested counter scopes are not modeled.
+    const snapshotPseudoCounters = () => {
+      const counters = new Map();
+      const snapshots = new Map();
+      const applyCounterStyle = (style) => {
+        [['counter-reset', 0, (name, n) => counters.set(name, n)],
+          ['counter-set', 0, (name, n) => counters.set(name, n)],
+          ['counter-increment', 1, (name, n) => counters.set(name, (counters.get(name) || 0) + n)]
+        ].forEach(([property, defaultAmount, update]) => {
+          const value = style.getPropertyValue(property);
+          if (!value || value === 'none') return;
+          const tokens = value.trim().split(/\s+/);
+          for (let i = 0; i < tokens.length; i++) {
+            const name = tokens[i];
+            const amount = /^-?\d+$/.test(tokens[i + 1] || '') ? parseInt(tokens[++i]) : defaultAmount;
+            update(name, amount);
+          }
+        });
+      };
+      const visitPseudo = (el, which) => {
+        const style = window.getComputedStyle(el, `::${which}`);
+        applyCounterStyle(style);
+        if (style.content && style.content.includes('counter')) snapshots.set(`${which}:${el.dataset.pseudoId}`, new Map(counters));
+      };
+      const walk = (el) => {
+        applyCounterStyle(window.getComputedStyle(el));
+        visitPseudo(el, 'before');
+        Array.from(el.children).forEach(walk);
+        visitPseudo(el, 'after');
+      };
+      walk(document.body);
+      return snapshots;
+    };
+
+    // Resolve computed pseudo-element content (strings, counter(), attr(), quotes, url()) to { text, imageUrl }
+    const resolvePseudoContent = (host, content, counterValues) => {
+      const tokenPattern = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(counters?)\(([^)]*)\)|attr\(([^)]*)\)|url\(["']?([^"')]*)["']?\)|(open-quote|close-quote)/g;
+      let text = '';
+      let imageUrl = null;
+      let match;
+      while ((match = tokenPattern.exec(content))) {
+        if (match[1] !== undefined || match[2] !== undefined) {
+          text += (match[1] !== undefined ? match[1] : match[2]).replace(/\\(.)/g, '$1');
+        } else if (match[3]) {
+          const args = match[4].split(',').map(arg => arg.trim().replace(/^["']|["']$/g, ''));
+          const styleType = match[3] === 'counter' ? args[1] : args[2];
+          let value = counterValues ? counterValues.get(args[0]) || 0 : 0;
+          if (args[0] === 'list-item') {
+            // list-item follows the element's position in its list
+            const li = host.closest('li');
+            const list = li && li.parentElement;
+            const items = list ? Array.from(list.children).filter(child => child.tagName === 'LI') : [];
+            const start = list && list.tagName === 'OL' && list.hasAttribute('start') ? list.start : (list && list.reversed ? items.length : 1);
+            value = li ? (list.reversed ? start - items.indexOf(li) : start + items.indexOf(li)) : 0;
+          }
+          text += formatCounter(value, styleType || 'decimal');
+        } else if (match[5]) {
+          text += host.getAttribute(match[5].trim()) || '';
+        } else if (match[6]) {
+          imageUrl = match[6];
+        } else if (match[7]) {
+          text += match[7] === 'open-quote' ? '“' : '”';
+        }
+      }
+      return { text, imageUrl };
+    };
+
+    // Turn visible ::before/::after boxes into real elements that carry their computed styles, so the regular
+    // handlers pick them up (text becomes runs or text boxes, background/border-only boxes become shapes).
+    // The original pseudo-elements are suppressed so the layout stays the same.
+    const materializePseudoElements = () => {
+      const skipTags = ['IMG', 'INPUT', 'SELECT', 'TEXTAREA', 'BR', 'HR', 'CANVAS', 'IFRAME', 'VIDEO', 'SCRIPT', 'STYLE', 'TEMPLATE'];
+      const pending = [];
+      [document.body, ...document.body.querySelectorAll('*')].forEach((host, idx) => {
+        if (skipTags.includes(host.tagName) || host.closest('svg, aside.notes')) return;
+        // Icon fonts draw their glyph in ::before and are embedded as icons
+        if (readIconGlyph(host)) return;
+
+        ['before', 'after'].forEach(which => {
+          const style = window.getComputedStyle(host, `::${which}`);
+          if (!style.content || style.content === 'none' || style.content === 'normal') return;
+          if (style.display === 'none' || style.visibility === 'hidden') return;
+          if (/awesome|icon|material|glyph/i.test(style.fontFamily)) return;
+
+          const hasBox = style.backgroundColor !== 'rgba(0, 0, 0, 0)' || style.backgroundImage !== 'none' ||
+            ['Top', 'Right', 'Bottom', 'Left'].some(side => parseFloat(style[`border${side}Width`]) > 0) ||
+            style.boxShadow !== 'none';
+          host.dataset.pseudoId = idx;
+          pending.push({ host, which, style, hasBox });
+        });
+      });
+      if (pending.length === 0) return;
+
+      // Counters must be read while every pseudo-element still exists
+      const counterSnapshots = pending.some(p => p.style.content.includes('counter')) ? snapshotPseudoCounters() : new Map();
+      const resolved = pending.map(p => ({
+        ...p,
+        content: resolvePseudoContent(p.host, p.style.content, counterSnapshots.get(`${p.which}:${p.host.dataset.pseudoId}`)),
+        // Snapshot the style values, the live declaration changes once the pseudo-element is suppressed
+        properties: Array.from(p.style)
+          .filter(prop => prop !== 'content' && !prop.startsWith('counter-'))
+          .map(prop => [prop, p.style.getPropertyValue(prop)])
+      }));
+
+      const suppress = document.createElement('style');
+      suppress.textContent = '[data-pseudo-host~="before"]::before, [data-pseudo-host~="after"]::after { content: none !important; }';
+      document.head.appendChild(suppress);
+
+      // Pseudo-elements can only be measured as real boxes, but an inserted node can change which selectors match
+      // (:first-child, :nth-child, :empty, ...) and with them the layout. Position and look of the host, its
+      // children and its siblings are compared before and after; a host that changed gets its pseudo-elements back
+      // and they are left out of the extraction
+      const layoutSignature = (host) => {
+        const siblings = host.parentElement ? Array.from(host.parentElement.children) : [host];
+        return [...siblings, ...host.children].filter(node => node.dataset.pseudo === undefined).map(node => {
+          const rect = node.getBoundingClientRect();
+          const computed = window.getComputedStyle(node);
+          return [rect.left, rect.top, rect.width, rect.height, computed.color, computed.backgroundColor, computed.fontWeight, computed.fontStyle].join(',');
+        }).join(';');
+      };
+
+      const byHost = new Map();
+      resolved.forEach(entry => {
+        const { content, hasBox } = entry;
+        if (!content.text.trim() && !content.imageUrl && !hasBox) return;
+        if (!byHost.has(entry.host)) byHost.set(entry.host, []);
+        byHost.get(entry.host).push(entry);
+      });
+
+      byHost.forEach((entries, host) => {
+        const before = layoutSignature(host);
+        const nodes = entries.map(({ which, style, content, properties }) => {
+          const isInline = ['inline', 'inline-block', 'inline-flex'].includes(style.display);
+          const tag = content.imageUrl ? 'img' : (isInline && content.text.trim() ? 'span' : 'div');
+          const node = document.createElement(tag);
+          properties.forEach(([prop, value]) => node.style.setProperty(prop, value));
+          if (content.imageUrl) node.src = content.imageUrl;
+          else node.textContent = content.text;
+          node.dataset.pseudo = which;
+
+          host.dataset.pseudoHost = `${host.dataset.pseudoHost || ''} ${which}`.trim();
+          if (which === 'before') host.insertBefore(node, host.firstChild);
+          else host.appendChild(node);
+          return node;
+        });
+
+        if (layoutSignature(host) !== before) {
+          nodes.forEach(node => node.remove());
+          delete host.dataset.pseudoHost;
+        }
+      });
+    };
+
+    // Decorative pseudo-element boxes (no text) are drawn as shapes of their own and do not end the host's text flow
+    const isDecorativePseudo = (node) => node.dataset.pseudo !== undefined && !node.textContent.trim();
+
+    // Put the page back the way it rendered once extraction is done, so the screenshot passes see the real
+    // pseudo-elements. Materialized nodes that are screenshotted themselves stay in place
+    const restorePseudoElements = () => {
+      const screenshotIds = new Set(icons.map(icon => icon.id));
+      document.querySelectorAll('[data-pseudo]').forEach(node => {
+        if (screenshotIds.has(node.id)) return;
+        const host = node.parentElement;
+        const remaining = host.dataset.pseudoHost.split(' ').filter(which => which !== node.dataset.pseudo);
+        if (remaining.length > 0) host.dataset.pseudoHost = remaining.join(' ');
+        else delete host.dataset.pseudoHost;
+        node.remove();
+      });
+      document.querySelectorAll('[data-pseudo-id]').forEach(el => { delete el.dataset.pseudoId; });
+    };
+
+    // Effective CSS opacity of an element: its own opacity times every ancestor's
+    const opacityCache = new Map();
+    const getEffectiveOpacity = (el) => {
+      if (!el || el.nodeType !== Node.ELEMENT_NODE) return 1;
+      if (!opacityCache.has(el)) {
+        opacityCache.set(el, parseFloat(window.getComputedStyle(el).opacity) * getEffectiveOpacity(el.parentElement));
+      }
+      return opacityCache.get(el);
+    };
+
+    // Fold an opacity into a transparency percentage (null/undefined transparency means opaque)
+    const combineTransparency = (transparency, opacity) => {
+      const alpha = (1 - (transparency || 0) / 100) * opacity;
+      return Math.round((1 - alpha) * 100);
+    };
+
+    // Apply an element's effective opacity to what was extracted from it: fills, lines, shadows, images and text.
+    // Screenshots (image-placeholder) already contain the opacity
+    const applyOpacity = (element, opacity) => {
+      if (opacity >= 1) return;
+      const fade = (transparency) => combineTransparency(transparency, opacity);
+      // Runs share effect objects with their siblings, so fade each one once
+      const fadedEffects = new Set();
+      const fadeEffect = (effect) => {
+        if (!effect || fadedEffects.has(effect)) return;
+        effect.opacity = (effect.opacity === undefined ? 1 : effect.opacity) * opacity;
+        fadedEffects.add(effect);
+      };
+      const fadeRuns = (runs) => {
+        if (!Array.isArray(runs)) return;
+        runs.forEach(run => {
+          if (!run.options) return;
+          if (run.options.transparency !== null && run.options.transparency !== undefined) {
+            run.options.transparency = fade(run.options.transparency);
+          }
+          fadeEffect(run.options.glow);
+        });
+      };
+
+      if (element.type === 'shape') {
+        const shape = element.shape;
+        if (shape.fill) shape.transparency = fade(shape.transparency);
+        if (shape.gradient) shape.gradient.stops.forEach(stop => { stop.transparency = fade(stop.transparency); });
+        if (shape.picture) shape.picture.transparency = fade(shape.picture.transparency);
+        if (shape.line) shape.line.transparency = fade(shape.line.transparency);
+        fadeEffect(shape.shadow);
+        // Shapes holding their own text (code blocks)
+        if (element.style) {
+          element.style.transparency = fade(element.style.transparency);
+          fadeRuns(element.text);
+        }
+      } else if (element.type === 'line' || element.type === 'image') {
+        element.transparency = fade(element.transparency);
+      } else if (element.type === 'table') {
+        element.rows.forEach(row => row.forEach(cell => {
+          cell.options.transparency = fade(cell.options.transparency);
+          if (cell.options.fill) cell.options.fill.transparency = fade(cell.options.fill.transparency);
+          fadeRuns(cell.text);
+        }));
+      } else if (element.style) {
+        // Text boxes and lists
+        element.style.transparency = fade(element.style.transparency);
+        fadeEffect(element.style.glow);
+        fadeEffect(element.style.shadow);
+        fadeRuns(element.text);
+        fadeRuns(element.items);
+      }
+    };
+
+    // Scale font sizes of text extracted from a scaled element (transform: scale() draws the glyphs larger too)
+    const applyTextScale = (element, scale) => {
+      if (Math.abs(scale - 1) < 0.01) return;
+      const scaleOptions = (options) => {
+        if (!options) return;
+        ['fontSize', 'charSpacing'].forEach(key => {
+          if (typeof options[key] === 'number') options[key] *= scale;
+        });
+        if (typeof options.lineSpacing === 'number') options.lineSpacing *= scale;
+      };
+      const scaleRuns = (runs) => {
+        if (Array.isArray(runs)) runs.forEach(run => scaleOptions(run.options));
+      };
+
+      if (element.type === 'table') {
+        element.rows.forEach(row => row.forEach(cell => {
+          scaleOptions(cell.options);
+          scaleRuns(cell.text);
+        }));
+      } else if (element.style && element.style.fontSize) {
+        scaleOptions(element.style);
+        scaleRuns(element.text);
+        scaleRuns(element.items);
+      }
+    };
+
+    // Classify <a href> as an external URL, a slide number (#slide-3) or another HTML page of the deck
+    const parseHyperlink = (anchor) => {
+      const href = (anchor.getAttribute('href') || '').trim();
+      if (!href) return null;
+      const tooltip = anchor.getAttribute('title') || undefined;
+
+      const slideMatch = href.match(/^#slide-?(\d+)$/i);
+      if (slideMatch) return { slide: parseInt(slideMatch[1]), tooltip };
+      // Other fragments point into the page itself, which has no slide of its own to jump to
+      if (href.startsWith('#')) return null;
+      if (/^(mailto|tel):/i.test(href)) return { url: href, tooltip };
+
+      let resolved;
+      try {
+        resolved = new URL(href, document.baseURI);
+      } catch (e) {
+        return null;
+      }
+      if (resolved.protocol === 'http:' || resolved.protocol === 'https:') return { url: resolved.href, tooltip };
+      // Sibling pages (page_3.html) become slide jumps once the whole deck is converted
+      if (resolved.protocol === 'file:' && /\.html?$/i.test(resolved.pathname)) {
+        return { page: decodeURIComponent(resolved.pathname), tooltip };
+      }
+      return null;
+    };
+
+    // Collect speaker notes from <body data-notes>, <aside class="notes"> and <template data-notes> as paragraphs of runs.
+    // Formatting comes from tag names: notes markup is hidden or inert, so computed styles carry nothing useful.
+    const extractNotes = () => {
+      const paragraphs = [];
+      const blockTags = ['P', 'DIV', 'SECTION', 'BLOCKQUOTE', 'UL', 'OL', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+      let current = null;
+
+      const endParagraph = () => {
+        if (current) current[current.length - 1].text = current[current.length - 1].text.replace(/\s+$/, '');
+        current = null;
+      };
+      const addText = (text, options) => {
+        if (!current) {
+          text = text.replace(/^\s+/, '');
+          if (!text) return;
+          current = [];
+          paragraphs.push(current);
+        }
+        const prevRun = current[current.length - 1];
+        if (prevRun && JSON.stringify(prevRun.options) === JSON.stringify(options)) {
+          prevRun.text += text;
+        } else {
+          current.push({ text, options: { ...options } });
+        }
+      };
+      const walk = (node, options) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+          addText(node.textContent.replace(/\s+/g, ' '), options);
+          return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) return;
+        if (node.tagName === 'SCRIPT' || node.tagName === 'STYLE') return;
+        if (node.tagName === 'BR') {
+          endParagraph();
+          return;
+        }
+
+        const childOptions = { ...options };
+        if (['B', 'STRONG'].includes(node.tagName)) childOptions.bold = true;
+        if (['I', 'EM'].includes(node.tagName)) childOptions.italic = true;
+        if (node.tagName === 'U') childOptions.underline = true;
+
+        const isBlock = blockTags.includes(node.tagName);
+        if (isBlock) endParagraph();
+        if (node.tagName === 'LI') {
+          const list = node.parentElement;
+          const marker = list && list.tagName === 'OL' ? `${Array.from(list.children).indexOf(node) + 1}. ` : '• ';
+          addText(marker, options);
+        }
+        node.childNodes.forEach(child => walk(child, childOptions));
+        if (isBlock) endParagraph();
+      };
+
+      // The attribute holds plain text, so its line breaks are the paragraph breaks
+      const bodyNotes = document.body.getAttribute('data-notes');
+      if (bodyNotes) {
+        bodyNotes.split(/\r?\n/).forEach(line => {
+          addText(line.replace(/\s+/g, ' '), {});
+          endParagraph();
+        });
+      }
+      document.querySelectorAll('aside.notes, template[data-notes]').forEach(source => {
+        walk(source.tagName === 'TEMPLATE' ? source.content : source, {});
+        endParagraph();
+      });
+
+      return paragraphs;
+    };
+
+    // Parse inline formatting tags (<b>, <i>, <u>, <strong>, <em>, <span>, <a>) into text runs.
+    // textSlices (Map of text node -> [start, end]) limits the runs to one line fragment from getInlineFragments
+    const parseInlineFormatting = (element, baseOptions = {}, runs = [], baseTextTransform = (x) => x, textSlices = null) => {
       let prevNodeIsText = false;
+      const whiteSpace = window.getComputedStyle(element).whiteSpace;
 
       element.childNodes.forEach((node) => {
         let textTransform = baseTextTransform;
+        if (textSlices && !Array.from(textSlices.keys()).some(textNode => node === textNode || node.contains(textNode))) return;
 
         const isText = node.nodeType === Node.TEXT_NODE || node.tagName === 'BR';
         if (isText) {
-          const text = node.tagName === 'BR' ? '\n' : textTransform(node.textContent.replace(/\s+/g, ' '));
+          const nodeText = textSlices ? node.data.slice(...textSlices.get(node)) : node.textContent;
+          const text = node.tagName === 'BR' ? '\n' : textTransform(collapseWhitespace(nodeText, whiteSpace));
           const prevRun = runs[runs.length - 1];
           if (prevNodeIsText && prevRun) {
             prevRun.text += text;
@@ -234,6 +2045,9 @@ async function extractSlideData(page) {
             runs.push({ text, options: { ...baseOptions } });
           }
 
+        } else if (node.nodeType === Node.ELEMENT_NODE && (isMathElement(node) || isRasterizedEmoji(node))) {
+          // Formulas become equations and rasterized emoji images at their own position
+
         } else if (node.nodeType === Node.ELEMENT_NODE) {
           // Check for icons (e.g., <i class="fa..."></i> or empty I tags with width)
           const isPotentialIcon = node.tagName === 'I' || node.tagName === 'SPAN';
@@ -272,14 +2086,14 @@ async function extractSlideData(page) {
             // If we recursed, we'd add text runs. 
             // Let's NOT recurse for proper icons to avoid duplication if we rasterize it.
 
-          } else if (node.textContent.trim()) {
-            // Regular element with text
+          } else if ((node.textContent.trim() || (preservesWhitespace(whiteSpace) && node.textContent)) && parseFloat(computed.opacity) > 0) {
+            // Regular element with text (fully transparent inline elements are dropped)
             const options = { ...baseOptions };
 
             const computed = window.getComputedStyle(node);
 
             // Handle inline elements with computed styles
-            const allowedTags = ['SPAN', 'B', 'STRONG', 'I', 'EM', 'U', 'DIV', 'A'];
+            const allowedTags = ['SPAN', 'B', 'STRONG', 'I', 'EM', 'U', 'DIV', 'A', 'SUP', 'SUB', 'S', 'DEL', 'STRIKE', 'CODE', 'KBD', 'SAMP'];
             if (allowedTags.includes(node.tagName)) {
               const isBold = computed.fontWeight === 'bold' || parseInt(computed.fontWeight) >= 600;
               if (isBold && !shouldSkipBold(computed.fontFamily)) options.bold = true;
@@ -291,6 +2105,23 @@ async function extractSlideData(page) {
                 if (transparency !== null) options.transparency = transparency;
               }
               if (computed.fontSize) options.fontSize = pxToPoints(computed.fontSize);
+              if (['CODE', 'KBD', 'SAMP'].includes(node.tagName)) options.fontFace = getMonospaceFont(computed.fontFamily);
+
+              // Opacity of the inline element itself; the text element's opacity is applied to the whole box
+              const ownOpacity = parseFloat(computed.opacity);
+              if (ownOpacity < 1) options.transparency = combineTransparency(options.transparency, ownOpacity);
+
+              // PowerPoint shrinks superscript/subscript itself, so keep the surrounding size instead of the CSS 'smaller'
+              const { shadow, ...runEffects } = getTextEffects(computed, node.tagName);
+              Object.assign(options, runEffects);
+              if ((runEffects.superscript || runEffects.subscript) && !baseOptions.superscript && !baseOptions.subscript) {
+                if (baseOptions.fontSize) options.fontSize = baseOptions.fontSize;
+                else delete options.fontSize;
+              }
+              if (node.tagName === 'A') {
+                const hyperlink = parseHyperlink(node);
+                if (hyperlink) options.hyperlink = hyperlink;
+              }
 
               // Apply text-transform on the span element itself
               if (computed.textTransform && computed.textTransform !== 'none') {
@@ -314,7 +2145,7 @@ async function extractSlideData(page) {
 
 
               // Recursively process the child node. This will flatten nested spans into multiple runs.
-              parseInlineFormatting(node, options, runs, textTransform);
+              parseInlineFormatting(node, options, runs, textTransform, textSlices);
             }
           }
         }
@@ -322,8 +2153,8 @@ async function extractSlideData(page) {
         prevNodeIsText = isText;
       });
 
-      // Trim leading space from first run and trailing space from last run
-      if (runs.length > 0) {
+      // Trim leading space from first run and trailing space from last run (preformatted text keeps its indentation)
+      if (runs.length > 0 && !preservesWhitespace(whiteSpace)) {
         runs[0].text = runs[0].text.replace(/^\s+/, '');
         runs[runs.length - 1].text = runs[runs.length - 1].text.replace(/\s+$/, '');
       }
@@ -331,6 +2162,307 @@ async function extractSlideData(page) {
       return runs.filter(r => r.text.length > 0);
     };
 
+    // Text of an element that flows around inline images, icons or formulas, split into the pieces the browser laid out:
+    // one fragment per line and per stretch between two of them. Each fragment is
+    // { slices: Map of text node -> [start, end], rect: { left, top, right, bottom } } measured with Range rects.
+    // Returns null when the element has no image, icon or formula in its text flow
+    const getInlineFragments = (el) => {
+      const iconClassPattern = /(^|\s)(fa[srlbd]?|fa-[\w-]+|material-icons[\w-]*|material-symbols[\w-]*)(\s|$)/;
+      const isInlineAtom = (node) => {
+        const style = window.getComputedStyle(node);
+        if (style.position === 'absolute' || style.position === 'fixed') return false;
+        const nodeRect = node.getBoundingClientRect();
+        if (nodeRect.width === 0 || nodeRect.height === 0) return false;
+        const tag = node.tagName.toUpperCase();
+        if (['IMG', 'SVG', 'CANVAS'].includes(tag) || isMathElement(node) || isRasterizedEmoji(node)) return true;
+        const className = typeof node.className === 'string' ? node.className : (node.getAttribute('class') || '');
+        if (iconClassPattern.test(className)) return true;
+        // Other empty boxes only when they draw something (spacers and gaps stay part of the text flow)
+        return node.textContent.trim().length === 0 && (style.backgroundImage !== 'none' || readIconGlyph(node) !== null);
+      };
+      // Measuring glyphs is slow: only text that actually flows around an image or icon is split
+      if (!Array.from(el.querySelectorAll('*')).some(isInlineAtom)) return null;
+
+      const fragments = [];
+      const range = document.createRange();
+      let current = null;
+      let prevCharRect = null;
+
+      const walk = (parent) => {
+        parent.childNodes.forEach((node) => {
+          if (node.nodeType === Node.TEXT_NODE) {
+            for (let i = 0; i < node.data.length; i++) {
+              range.setStart(node, i);
+              range.setEnd(node, i + 1);
+              const charRect = range.getClientRects()[0];
+              // Collapsed whitespace has no box
+              if (!charRect || (charRect.width === 0 && /\s/.test(node.data[i]))) continue;
+
+              // A wrapped line starts further down and back at the left
+              const isNewLine = prevCharRect && charRect.top > prevCharRect.top + 1 && charRect.left < prevCharRect.left;
+              if (!current || isNewLine) {
+                current = { slices: new Map(), rect: { left: charRect.left, top: charRect.top, right: charRect.right, bottom: charRect.bottom } };
+                fragments.push(current);
+              }
+              const slice = current.slices.get(node);
+              if (slice) slice[1] = i + 1;
+              else current.slices.set(node, [i, i + 1]);
+              current.rect.left = Math.min(current.rect.left, charRect.left);
+              current.rect.top = Math.min(current.rect.top, charRect.top);
+              current.rect.right = Math.max(current.rect.right, charRect.right);
+              current.rect.bottom = Math.max(current.rect.bottom, charRect.bottom);
+              prevCharRect = charRect;
+            }
+          } else if (node.nodeType === Node.ELEMENT_NODE) {
+            if (node.tagName === 'BR') {
+              current = null;
+            } else if (isInlineAtom(node)) {
+              current = null;
+            } else {
+              walk(node);
+            }
+          }
+        });
+      };
+      walk(el);
+
+      return fragments.filter(fragment =>
+        Array.from(fragment.slices).some(([node, [start, end]]) => node.data.slice(start, end).trim().length > 0)
+      );
+    };
+
+    // Border edges as line elements, inset by half the line width to center each line on its edge.
+    // Used for partial borders (accent bars); a uniform border becomes the shape outline instead
+    const BORDER_DASH_TYPES = { dashed: 'dash', dotted: 'sysDot' };
+    const getBorderLines = (computed, rect) => {
+      const x = pxToInch(rect.left);
+      const y = pxToInch(rect.top);
+      const w = pxToInch(rect.width);
+      const h = pxToInch(rect.height);
+      const edges = {
+        Top: (inset) => [x, y + inset, x + w, y + inset],
+        Right: (inset) => [x + w - inset, y, x + w - inset, y + h],
+        Bottom: (inset) => [x, y + h - inset, x + w, y + h - inset],
+        Left: (inset) => [x + inset, y, x + inset, y + h]
+      };
+      return Object.entries(edges)
+        .filter(([side]) => parseFloat(computed[`border${side}Width`]) > 0)
+        .map(([side, getEnds]) => {
+          const widthPt = pxToPoints(computed[`border${side}Width`]);
+          const [x1, y1, x2, y2] = getEnds((widthPt / 72) / 2); // Points to inches, then half
+          const dashType = BORDER_DASH_TYPES[computed[`border${side}Style`]];
+          return {
+            type: 'line',
+            x1, y1, x2, y2,
+            width: widthPt,
+            color: rgbToHex(computed[`border${side}Color`]),
+            ...(dashType && { dashType })
+          };
+        });
+    };
+
+    // Background and uniform border of a box (blockquote, figure) as a shape, partial borders (accent bars) as lines
+    const getBoxDecoration = (computed, rect) => {
+      const hasBg = computed.backgroundColor && computed.backgroundColor !== 'rgba(0, 0, 0, 0)';
+      const borders = ['Top', 'Right', 'Bottom', 'Left'].map(side => parseFloat(computed[`border${side}Width`]) || 0);
+      const hasBorder = borders.some(b => b > 0);
+      const hasUniformBorder = hasBorder && borders.every(b => b === borders[0]);
+      const decoration = [];
+
+      if (hasBg || hasUniformBorder) {
+        const boxGeometry = getBoxGeometry(computed, rect);
+        decoration.push({
+          type: 'shape',
+          text: '',
+          position: {
+            x: pxToInch(rect.left),
+            y: pxToInch(rect.top),
+            w: pxToInch(rect.width),
+            h: pxToInch(rect.height)
+          },
+          shape: {
+            fill: hasBg ? rgbToHex(computed.backgroundColor) : null,
+            transparency: hasBg ? extractAlpha(computed.backgroundColor) : null,
+            line: hasUniformBorder ? { width: pxToPoints(borders[0]), color: rgbToHex(computed.borderTopColor) } : null,
+            geometry: boxGeometry.geometry,
+            rectRadius: boxGeometry.rectRadius || 0,
+            points: boxGeometry.points,
+            shadow: parseBoxShadow(computed.boxShadow)
+          }
+        });
+      }
+      if (hasBorder && !hasUniformBorder) decoration.push(...getBorderLines(computed, rect));
+      return decoration;
+    };
+
+    // CSS multi-column layout of an element as PowerPoint text columns: { count, spacing } (spacing in inches).
+    // column-width alone yields as many columns as fit the content box, like the browser does. Returns null for one column
+    const getColumnLayout = (computed, contentWidth) => {
+      const gap = computed.columnGap === 'normal' ? parseFloat(computed.fontSize) : parseFloat(computed.columnGap) || 0;
+      const columnCount = parseInt(computed.columnCount, 10);
+      const columnWidth = parseFloat(computed.columnWidth);
+      let count = Number.isNaN(columnCount) ? Infinity : columnCount;
+      if (columnWidth > 0) count = Math.min(count, Math.max(1, Math.floor((contentWidth + gap) / (columnWidth + gap))));
+      if (!Number.isFinite(count) || count < 2) return null;
+      // PowerPoint allows up to 16 columns
+      return { count: Math.min(count, 16), spacing: pxToInch(gap) };
+    };
+
+    // One text box for an element holding plain text or a run of paragraphs, headings and <footer>/<cite>
+    // attributions (multi-column text, blockquotes, figure captions). The box takes the element's own weight and slant,
+    // paragraphs keep their size, color, weight, slant and alignment, and the collapsed margins between them become
+    // paragraph spacing. Returns null for anything else (images, formulas, rasterized emoji, lists, nested boxes)
+    const FLOW_PARAGRAPH_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'FOOTER', 'CITE'];
+    const getTextFlowElement = (el, computed, rect) => {
+      const isBoxBold = (computed.fontWeight === 'bold' || parseInt(computed.fontWeight) >= 600) && !shouldSkipBold(computed.fontFamily);
+      const isBoxItalic = computed.fontStyle === 'italic';
+      if (el.querySelector('img, svg, canvas, math, .katex, [data-emoji]')) return null;
+      const blockChildren = Array.from(el.children).filter(child => !window.getComputedStyle(child).display.startsWith('inline'));
+      const hasLooseText = Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+      if (blockChildren.length > 0 && (hasLooseText || !blockChildren.every(child => FLOW_PARAGRAPH_TAGS.includes(child.tagName)))) {
+        return null;
+      }
+
+      const paragraphs = blockChildren.length > 0 ? blockChildren : [el];
+      const items = [];
+      let prevMarginBottom = 0;
+      paragraphs.forEach((block, idx) => {
+        const blockComputed = window.getComputedStyle(block);
+        const paragraphOptions = { breakLine: false };
+        if (block !== el) {
+          if (blockComputed.fontSize !== computed.fontSize) paragraphOptions.fontSize = pxToPoints(blockComputed.fontSize);
+          if (blockComputed.color !== computed.color) paragraphOptions.color = rgbToHex(blockComputed.color);
+          const isBold = (blockComputed.fontWeight === 'bold' || parseInt(blockComputed.fontWeight) >= 600) && !shouldSkipBold(blockComputed.fontFamily);
+          const isItalic = blockComputed.fontStyle === 'italic';
+          if (isBold !== isBoxBold) paragraphOptions.bold = isBold;
+          if (isItalic !== isBoxItalic) paragraphOptions.italic = isItalic;
+        }
+
+        const runs = parseInlineFormatting(block, paragraphOptions, [], (str) => applyTextTransform(str, blockComputed.textTransform));
+        if (runs.length === 0) return;
+        // Vertical margins between paragraphs collapse to the larger one
+        const marginTop = parseFloat(blockComputed.marginTop) || 0;
+        runs[0].options.paraSpaceBefore = items.length > 0 ? pxToPoints(Math.max(marginTop, prevMarginBottom)) : 0;
+        if (blockComputed.textAlign !== computed.textAlign) {
+          runs[0].options.align = blockComputed.textAlign === 'start' ? 'left' : blockComputed.textAlign;
+        }
+        if (idx < paragraphs.length - 1) runs[runs.length - 1].options.breakLine = true;
+        prevMarginBottom = parseFloat(blockComputed.marginBottom) || 0;
+        items.push(...runs);
+      });
+      if (items.length === 0) return null;
+      // Trailing breakLine of a skipped empty last paragraph would add a blank line
+      items[items.length - 1].options.breakLine = false;
+
+      return {
+        type: el.tagName.toLowerCase(),
+        text: items,
+        position: {
+          x: pxToInch(rect.left),
+          y: pxToInch(rect.top),
+          w: pxToInch(rect.width),
+          h: pxToInch(rect.height)
+        },
+        style: {
+          fontSize: pxToPoints(computed.fontSize),
+          fontFace: computed.fontFamily.split(',')[0].replace(/['"]/g, '').trim(),
+          color: rgbToHex(computed.color),
+          bold: isBoxBold,
+          italic: isBoxItalic,
+          transparency: extractAlpha(computed.color),
+          align: computed.textAlign === 'start' ? 'left' : computed.textAlign,
+          lineSpacing: computed.lineHeight && computed.lineHeight !== 'normal' ? pxToPoints(computed.lineHeight) : null,
+          paraSpaceBefore: 0,
+          paraSpaceAfter: 0,
+          // PptxGenJS margin array is [left, right, bottom, top]
+          margin: [
+            pxToPoints(parseFloat(computed.paddingLeft) + parseFloat(computed.borderLeftWidth)),
+            pxToPoints(parseFloat(computed.paddingRight) + parseFloat(computed.borderRightWidth)),
+            pxToPoints(parseFloat(computed.paddingBottom) + parseFloat(computed.borderBottomWidth)),
+            pxToPoints(parseFloat(computed.paddingTop) + parseFloat(computed.borderTopWidth))
+          ],
+          bullet: false,
+          ...getTextEffects(computed, el.tagName)
+        }
+      };
+    };
+
+    // Formulas are extracted on their own: KaTeX output (.katex) or bare MathML
+    const isMathElement = (node) => node.localName === 'math' || node.classList.contains('katex');
+
+    // A <math> element as a plain tree ({ name, attributes, text, children }) for the OMML conversion in Node
+    const serializeMathml = (node) => ({
+      name: node.localName,
+      attributes: Object.fromEntries(Array.from(node.attributes).map(attr => [attr.name, attr.value])),
+      text: node.textContent,
+      children: Array.from(node.children).map(serializeMathml)
+    });
+
+    // One emoji as the browser draws it: flag pairs, keycaps, emoji-presentation characters (or text
+    // pictographs with U+FE0F), each with an optional skin tone and joined by ZWJ into one glyph
+    const EMOJI_PATTERN = /\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|(?:\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F)\p{Emoji_Modifier}?(?:\u200D\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?)*/gu;
+
+    // Emoji wrapped in a <span data-emoji> to be screenshotted (rasterizeEmoji option)
+    const isRasterizedEmoji = (node) => node.hasAttribute('data-emoji');
+
+    // Wrap every emoji in the slide text in a <span data-emoji> so it can be measured and screenshotted.
+    // Lists, tables and <pre> keep their emoji as text: their text is not split around inline images.
+    // The spans are real elements, so structural selectors (:first-child, :empty, sibling combinators) may now match differently
+    const wrapEmoji = () => {
+      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => node.parentElement.closest('li, td, th, pre, svg, math, .katex, script, style, textarea, aside.notes')
+          ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+      });
+      const textNodes = [];
+      while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+      textNodes.forEach(node => {
+        const matches = Array.from(node.data.matchAll(EMOJI_PATTERN));
+        if (matches.length === 0) return;
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        matches.forEach(match => {
+          if (match.index > last) fragment.appendChild(document.createTextNode(node.data.slice(last, match.index)));
+          const span = document.createElement('span');
+          span.setAttribute('data-emoji', '');
+          span.id = `emoji-${Math.random().toString(36).substr(2, 9)}`;
+          span.textContent = match[0];
+          fragment.appendChild(span);
+          last = match.index + match[0].length;
+        });
+        if (last < node.data.length) fragment.appendChild(document.createTextNode(node.data.slice(last)));
+        node.parentNode.replaceChild(fragment, node);
+      });
+    };
+
+    // Give emoji their own runs in the emoji font: PowerPoint draws a run in its one font face,
+    // and text fonts have no emoji glyphs. Accepts a plain string or runs, returns runs (or the input unchanged).
+    // Paragraph options stay on the first piece (bullet) and the last piece (breakLine) of a split run
+    const splitEmojiRuns = (text) => {
+      const runs = typeof text === 'string' ? [{ text, options: {} }] : text;
+      if (!Array.isArray(runs) || !runs.some(run => typeof run.text === 'string' && run.text.match(EMOJI_PATTERN))) return text;
+
+      return runs.flatMap(run => {
+        const pieces = [];
+        let last = 0;
+        for (const match of run.text.matchAll(EMOJI_PATTERN)) {
+          if (match.index > last) pieces.push({ text: run.text.slice(last, match.index), emoji: false });
+          pieces.push({ text: match[0], emoji: true });
+          last = match.index + match[0].length;
+        }
+        if (pieces.length === 0) return [run];
+        if (last < run.text.length) pieces.push({ text: run.text.slice(last), emoji: false });
+
+        const { bullet, breakLine, ...inlineOptions } = run.options || {};
+        return pieces.map((piece, idx) => {
+          const options = idx === 0 && bullet !== undefined ? { ...inlineOptions, bullet } : { ...inlineOptions };
+          if (idx === pieces.length - 1 && breakLine !== undefined) options.breakLine = breakLine;
+          if (piece.emoji) options.fontFace = emojiFont;
+          return { text: piece.text, options };
+        });
+      });
+    };
+
     // Extract background from body (image or color)
     const body = document.body;
     const bodyStyle = window.getComputedStyle(body);
@@ -340,22 +2472,51 @@ async function extractSlideData(page) {
     // Collect validation errors
     const errors = [];
 
-    // Validate: Check for CSS gradients
-    if (bgImage && (bgImage.includes('linear-gradient') || bgImage.includes('radial-gradient'))) {
-      errors.push(
-        'CSS gradients are not supported. Use Sharp to rasterize gradients as PNG images first, ' +
-        'then reference with background-image: url(\'gradient.png\')'
-      );
-    }
-
     let background;
+    let backgroundPicture = null;
     if (bgImage && bgImage !== 'none') {
       // Extract URL from url("...") or url(...)
       const urlMatch = bgImage.match(/url\(["']?([^"')]+)["']?\)/);
-      if (urlMatch) {
+      const gradient = urlMatch ? null : parseCssGradient(bgImage, parseFloat(bodyStyle.width), parseFloat(bodyStyle.height));
+      const bodyRect = body.getBoundingClientRect();
+      const slidePosition = { x: 0, y: 0, w: pxToInch(bodyRect.width), h: pxToInch(bodyRect.height) };
+      const backgroundFill = urlMatch
+        ? getBackgroundImageFill(bodyStyle, { x: bodyRect.left, y: bodyRect.top, w: bodyRect.width, h: bodyRect.height }, slidePosition)
+        : null;
+      const hasBodyColor = bgColor !== 'rgba(0, 0, 0, 0)';
+      const leavesGaps = backgroundFill && backgroundFill.fill.stretch &&
+        Object.values(backgroundFill.fill.stretch.fillRect).some(inset => inset > 0.001);
+      if (leavesGaps && hasBodyColor) {
+        // A slide background has one fill: keep the color there and lay the picture over it as the bottom shape
+        background = {
+          type: 'color',
+          value: rgbToHex(bgColor)
+        };
+        backgroundPicture = {
+          type: 'shape',
+          text: '',
+          position: slidePosition,
+          shape: { fill: null, line: null, picture: { src: backgroundFill.src, ...backgroundFill.fill } }
+        };
+      } else if (urlMatch) {
         background = {
           type: 'image',
-          path: urlMatch[1]
+          path: urlMatch[1],
+          // Placement from background-size/-position/-repeat (null: stretched over the slide)
+          fill: backgroundFill ? backgroundFill.fill : null
+        };
+      } else if (gradient) {
+        // Linear/radial gradients become a native gradient slide background
+        background = {
+          type: 'gradient',
+          gradient: gradient,
+          value: rgbToHex(bgColor)
+        };
+      } else if (bgImage.includes('gradient(')) {
+        // Gradients DrawingML cannot express (conic, repeating, layered) are rendered to a PNG after extraction
+        background = {
+          type: 'raster',
+          value: rgbToHex(bgColor)
         };
       } else {
         background = {
@@ -370,11 +2531,16 @@ async function extractSlideData(page) {
       };
     }
 
+    // ::before/::after content becomes real elements before anything is measured or classified
+    materializePseudoElements();
+
     // Process all elements
-    const elements = [];
+    const elements = backgroundPicture ? [backgroundPicture] : [];
     const placeholders = [];
     const icons = [];
     const deferredIcons = [];  // Icons to add at the end for correct z-order (on top of all backgrounds)
+    if (rasterizeEmoji) wrapEmoji();
+
     const textTags = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'TH', 'TD'];
     const processed = new Set();
     const styledSpanParents = new Set(); // Track parent DIVs of styled SPANs
@@ -393,9 +2559,38 @@ async function extractSlideData(page) {
       }
     });
 
-    document.querySelectorAll('*').forEach((el) => {
+    const extractElement = (el) => {
       if (processed.has(el)) return;
 
+      // Speaker notes are collected separately and never rendered on the slide
+      if (el.closest('aside.notes')) return;
+
+      // Fully transparent subtrees render nothing
+      if (getEffectiveOpacity(el) === 0) {
+        el.querySelectorAll('*').forEach(child => processed.add(child));
+        processed.add(el);
+        return;
+      }
+
+      // PowerPoint cannot skew shapes, text or images: capture a skewed element with its content as an image
+      if (el !== document.body && Math.abs(getTransformState(el).skew) > 0.5) {
+        const rect = el.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > 0) {
+          if (!el.id) el.id = `skewed-${Math.random().toString(36).substr(2, 9)}`;
+          const position = {
+            x: pxToInch(rect.left),
+            y: pxToInch(rect.top),
+            w: pxToInch(rect.width),
+            h: pxToInch(rect.height)
+          };
+          icons.push({ id: el.id, position, hideChildren: false });
+          elements.push({ type: 'image-placeholder', id: el.id, position });
+        }
+        el.querySelectorAll('*').forEach(child => processed.add(child));
+        processed.add(el);
+        return;
+      }
+
       // Validate text elements don't have backgrounds, borders, or shadows
       if (textTags.includes(el.tagName)) {
         const computed = window.getComputedStyle(el);
@@ -408,7 +2603,7 @@ async function extractSlideData(page) {
         const hasShadow = computed.boxShadow && computed.boxShadow !== 'none';
 
         if (hasBg || hasBorder || hasShadow) {
-          // Exception: Allow TH and TD to have backgrounds/borders (treated as text boxes with style)
+          // Exception: Allow TH and TD to have backgrounds/borders (carried into native table cells)
           if (el.tagName !== 'TH' && el.tagName !== 'TD') {
             errors.push(
               `Text element <${el.tagName.toLowerCase()}> has ${hasBg ? 'background' : hasBorder ? 'border' : 'shadow'}. ` +
@@ -419,6 +2614,63 @@ async function extractSlideData(page) {
         }
       }
 
+      // Extract formulas (KaTeX output or bare <math>) as native equations; formulas using constructs OMML
+      // cannot express are captured as images instead
+      if (isMathElement(el)) {
+        const math = el.localName === 'math' ? el : el.querySelector('math');
+        const rect = el.getBoundingClientRect();
+        const computed = window.getComputedStyle(el);
+        el.querySelectorAll('*').forEach(child => processed.add(child));
+        processed.add(el);
+        if (rect.width === 0 || rect.height === 0) return;
+
+        const position = {
+          x: pxToInch(rect.left),
+          y: pxToInch(rect.top),
+          w: pxToInch(rect.width),
+          h: pxToInch(rect.height)
+        };
+        if (!el.id) el.id = `math-${Math.random().toString(36).substr(2, 9)}`;
+        if (math) {
+          // Converted to Office Math in Node, which falls back to a screenshot by id
+          const annotation = math.querySelector('annotation[encoding="application/x-tex"]');
+          elements.push({
+            type: 'equation',
+            id: el.id,
+            mathml: serializeMathml(math),
+            display: math.getAttribute('display') === 'block' || !!el.closest('.katex-display'),
+            // Plain-text form (TeX source when KaTeX kept it) for readers without Office Math
+            text: (annotation ? annotation.textContent : math.textContent).trim(),
+            position,
+            style: {
+              fontSize: pxToPoints(computed.fontSize),
+              color: rgbToHex(computed.color),
+              transparency: extractAlpha(computed.color)
+            }
+          });
+        } else {
+          icons.push({ id: el.id, position });
+          elements.push({ type: 'image-placeholder', id: el.id, position });
+        }
+        return;
+      }
+
+      // Rasterized emoji: screenshotted as an image, the surrounding text is split around it
+      if (isRasterizedEmoji(el)) {
+        const rect = el.getBoundingClientRect();
+        processed.add(el);
+        if (rect.width === 0 || rect.height === 0) return;
+        const position = {
+          x: pxToInch(rect.left),
+          y: pxToInch(rect.top),
+          w: pxToInch(rect.width),
+          h: pxToInch(rect.height)
+        };
+        icons.push({ id: el.id, position });
+        elements.push({ type: 'image-placeholder', id: el.id, position });
+        return;
+      }
+
       // Extract placeholder elements (for charts, etc.)
       const className = typeof el.className === 'string' ? el.className : (el.getAttribute && el.getAttribute('class')) || '';
       if (className && className.includes('placeholder')) {
@@ -440,15 +2692,118 @@ async function extractSlideData(page) {
         return;
       }
 
+      // Extract tables as a single native table (instead of one text box per TH/TD)
+      if (el.tagName === 'TABLE') {
+        const rect = el.getBoundingClientRect();
+        const tableRows = Array.from(el.rows);
+        if (rect.width === 0 || rect.height === 0 || tableRows.length === 0) return;
+
+        // Build the cell grid first so merged cells are emitted once with colspan/rowspan
+        // (PptxGenJS generates the covered merge cells itself)
+        const { slots, numRows, numCols } = buildTableGrid(tableRows);
+
+        const toTableCell = (slot) => {
+          const { cell } = slot;
+          if (!cell) return { text: '', options: { border: [{ type: 'none' }, { type: 'none' }, { type: 'none' }, { type: 'none' }] } };
+
+          const computed = window.getComputedStyle(cell);
+          const transformStr = computed.textTransform;
+          const runs = parseInlineFormatting(cell, {}, [], (str) => applyTextTransform(str, transformStr));
+          const isBold = computed.fontWeight === 'bold' || parseInt(computed.fontWeight) >= 600;
+          // Table cells have no shape effects, so a text shadow can only come through as glow
+          const { shadow, ...cellEffects } = getTextEffects(computed, cell.tagName);
+
+          const options = {
+            ...cellEffects,
+            fontSize: pxToPoints(computed.fontSize),
+            fontFace: computed.fontFamily.split(',')[0].replace(/['"]/g, '').trim(),
+            color: rgbToHex(computed.color),
+            bold: isBold && !shouldSkipBold(computed.fontFamily),
+            italic: computed.fontStyle === 'italic',
+            underline: computed.textDecoration.includes('underline'),
+            align: computed.textAlign === 'start' ? 'left' : computed.textAlign,
+            valign: computed.verticalAlign === 'top' ? 'top' : computed.verticalAlign === 'bottom' ? 'bottom' : 'middle',
+            border: parseCellBorders(computed),
+            // PptxGenJS cell margin is [top, right, bottom, left] in inches
+            margin: [
+              pxToInch(parseFloat(computed.paddingTop)),
+              pxToInch(parseFloat(computed.paddingRight)),
+              pxToInch(parseFloat(computed.paddingBottom)),
+              pxToInch(parseFloat(computed.paddingLeft))
+            ]
+          };
+
+          if (slot.colspan > 1) options.colspan = slot.colspan;
+          if (slot.rowspan > 1) options.rowspan = slot.rowspan;
+
+          const fill = getTableCellFill(cell, el);
+          if (fill) options.fill = fill;
+
+          return { text: runs, options };
+        };
+
+        const rows = [];
+        for (let r = 0; r < numRows; r++) {
+          rows.push(slots.filter(slot => slot.row === r).map(toTableCell));
+        }
+
+        // Column widths from cell edges on the grid. Unmerged cells are measured first so
+        // spanning cells only fill in edges that no single-column cell defines.
+        const colEdges = new Array(numCols + 1).fill(null);
+        colEdges[0] = rect.left;
+        colEdges[numCols] = rect.right;
+        [...slots].sort((a, b) => a.colspan - b.colspan).forEach(slot => {
+          if (!slot.cell) return;
+          const cellRect = slot.cell.getBoundingClientRect();
+          if (colEdges[slot.col] === null) colEdges[slot.col] = cellRect.left;
+          if (colEdges[slot.col + slot.colspan] === null) colEdges[slot.col + slot.colspan] = cellRect.right;
+        });
+        // Interpolate any edge that is only ever inside a merged cell
+        for (let c = 1; c < numCols; c++) {
+          if (colEdges[c] !== null) continue;
+          let next = c + 1;
+          while (colEdges[next] === null) next++;
+          colEdges[c] = colEdges[c - 1] + (colEdges[next] - colEdges[c - 1]) / (next - c + 1);
+        }
+        const colW = [];
+        for (let c = 0; c < numCols; c++) colW.push(pxToInch(colEdges[c + 1] - colEdges[c]));
+        const rowH = tableRows.map(tr => pxToInch(tr.getBoundingClientRect().height));
+
+        elements.push({
+          type: 'table',
+          rows,
+          position: {
+            x: pxToInch(rect.left),
+            y: pxToInch(rect.top),
+            w: pxToInch(rect.width),
+            h: pxToInch(rect.height)
+          },
+          colW,
+          rowH
+        });
+
+        processed.add(el);
+        // Cell content is now part of the table. Icons, images, canvases, SVGs and formulas inside cells are left
+        // unprocessed so the handlers below place them as images or equations on top of the table.
+        el.querySelectorAll('*').forEach(child => {
+          const childClass = typeof child.className === 'string' ? child.className : '';
+          const isGraphic = child.tagName === 'I' || child.tagName === 'IMG' || child.tagName === 'CANVAS' || child.tagName.toUpperCase() === 'SVG' ||
+            childClass.includes('fa') || childClass.includes('icon') || childClass.includes('material-icons') || isMathElement(child);
+          if (!isGraphic && !child.closest('svg')) processed.add(child);
+        });
+        return;
+      }
+
       // Extract images
       if (el.tagName === 'IMG') {
         const rect = el.getBoundingClientRect();
         if (rect.width > 0 && rect.height > 0) {
           const computed = window.getComputedStyle(el);
-          const objectFit = computed.objectFit;
+          const { box, transform } = getBoxTransform(el, rect);
+          const placement = getObjectFitPlacement(el, computed, box, transform);
 
-          // For object-fit: cover/contain, use screenshot to preserve correct cropping
-          if (objectFit === 'cover' || objectFit === 'contain') {
+          // Without a natural size (e.g. some SVG files) object-fit cannot be computed: screenshot the rendered box
+          if (!placement) {
             if (!el.id) el.id = `img-${Math.random().toString(36).substr(2, 9)}`;
 
             icons.push({
@@ -476,23 +2831,91 @@ async function extractSlideData(page) {
             return;
           }
 
-          // Standard image - use original source
+          // Original source, natively cropped to the object-fit window and keeping rotation and mirroring
           elements.push({
             type: 'image',
             src: el.src,
-            position: {
-              x: pxToInch(rect.left),
-              y: pxToInch(rect.top),
-              w: pxToInch(rect.width),
-              h: pxToInch(rect.height)
-            }
+            position: placement.position,
+            ...(placement.crop && { crop: placement.crop }),
+            ...transform
+          });
+          processed.add(el);
+          return;
+        }
+      }
+
+      // Extract Chart.js charts as native, editable charts; other canvases are captured as images in place
+      if (el.tagName === 'CANVAS') {
+        const rect = el.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > 0) {
+          const position = {
+            x: pxToInch(rect.left),
+            y: pxToInch(rect.top),
+            w: pxToInch(rect.width),
+            h: pxToInch(rect.height)
+          };
+          const chart = readChartJsChart(el);
+          const imageData = chart ? null : readCanvasImage(el);
+          if (chart) {
+            elements.push({ type: 'chart', ...chart, position });
+          } else if (imageData) {
+            const { box, transform } = getBoxTransform(el, rect);
+            elements.push({
+              type: 'image',
+              data: imageData,
+              position: { x: pxToInch(box.x), y: pxToInch(box.y), w: pxToInch(box.w), h: pxToInch(box.h) },
+              ...transform
+            });
+          } else {
+            // Tainted or WebGL canvases: screenshot the element instead
+            if (!el.id) el.id = `canvas-${Math.random().toString(36).substr(2, 9)}`;
+            icons.push({ id: el.id, position });
+            elements.push({ type: 'image-placeholder', id: el.id, position });
+          }
+          processed.add(el);
+          return;
+        }
+      }
+
+      // Extract SVGs (e.g. D3 charts) as native shapes and text boxes.
+      // <svg data-rasterize> opts into capturing the whole SVG as an image (for filters, masks, etc.)
+      if (el.tagName.toUpperCase() === 'SVG' && !el.hasAttribute('data-rasterize')) {
+        const rect = el.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > 0) {
+          const primitiveTags = ['rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path'];
+          const hiddenContainers = 'defs, clipPath, mask, marker, pattern, symbol, filter, linearGradient, radialGradient';
+          const unsupported = new Set();
+
+          el.querySelectorAll('*').forEach(node => {
+            const tag = node.tagName.toLowerCase();
+            if (node.closest(hiddenContainers) || node.parentElement.closest('text')) return;
+
+            const computed = window.getComputedStyle(node);
+            if (computed.filter && computed.filter !== 'none') unsupported.add('filter');
+            if (computed.mask && computed.mask !== 'none') unsupported.add('mask');
+            if (computed.clipPath && computed.clipPath !== 'none') unsupported.add('clip-path');
+            if (['image', 'foreignobject', 'use'].includes(tag)) unsupported.add(`<${tag}>`);
+            if (computed.display === 'none' || computed.visibility === 'hidden') return;
+
+            const converted = tag === 'text' ? svgTextToElement(node, el)
+              : primitiveTags.includes(tag) ? svgPrimitiveToElement(node, el) : null;
+            if (converted) elements.push(converted);
           });
+
+          if (unsupported.size > 0) {
+            console.warn(
+              `Warning: <svg${el.id ? ` id="${el.id}"` : ''}> uses ${Array.from(unsupported).join(', ')}, which cannot be converted to shapes. ` +
+              'Add data-rasterize to the <svg> to capture it as an image instead.'
+            );
+          }
+
           processed.add(el);
+          el.querySelectorAll('*').forEach(child => processed.add(child));
           return;
         }
       }
 
-      // Extract SVGs (e.g. D3 charts)
+      // Rasterized SVGs (data-rasterize)
       if (el.tagName.toUpperCase() === 'SVG') {
         const rect = el.getBoundingClientRect();
         if (rect.width > 0 && rect.height > 0) {
@@ -630,7 +3053,8 @@ async function extractSlideData(page) {
                 lineSpacing: pxToPoints(computed.lineHeight),
                 paraSpaceBefore: 0,
                 paraSpaceAfter: 0,
-                margin: [0, 0, 0, 0]
+                margin: [0, 0, 0, 0],
+                ...getTextEffects(computed, el.tagName)
               }
             });
           }
@@ -667,10 +3091,23 @@ async function extractSlideData(page) {
         */
 
 
-        const hasBackgroundImage = computed.backgroundImage && computed.backgroundImage !== 'none';
         const rect = el.getBoundingClientRect(); // Get rect here for use in both image and shape logic
 
-        if (hasBackgroundImage) {
+        // Linear/radial gradients become native gradient fills and a single url() image a picture fill of the
+        // shape below. Everything else (conic, repeating or layered backgrounds, background-clip: text) is rasterized.
+        const isTextClip = computed.backgroundClip === 'text' || computed.webkitBackgroundClip === 'text';
+        const gradient = isTextClip ? null : parseCssGradient(computed.backgroundImage, rect.width, rect.height);
+        const hasBackgroundImage = computed.backgroundImage && computed.backgroundImage !== 'none' && !gradient;
+        const backgroundBox = hasBackgroundImage ? getBoxTransform(el, rect).box : null;
+        const isRasterBackground = hasBackgroundImage && (isTextClip || !getBackgroundImageFill(computed, backgroundBox, {
+          x: pxToInch(backgroundBox.x),
+          y: pxToInch(backgroundBox.y),
+          w: pxToInch(backgroundBox.w),
+          h: pxToInch(backgroundBox.h)
+        }));
+        const hasFill = hasBg || gradient !== null || (hasBackgroundImage && !isRasterBackground);
+
+        if (isRasterBackground) {
           if (!el.id) el.id = `bg-${Math.random().toString(36).substr(2, 9)}`;
 
           // Add to icons list for screenshotting
@@ -801,63 +3238,14 @@ async function extractSlideData(page) {
         const borders = [borderTop, borderRight, borderBottom, borderLeft].map(b => parseFloat(b) || 0);
         const hasBorder = borders.some(b => b > 0);
         const hasUniformBorder = hasBorder && borders.every(b => b === borders[0]);
-        const borderLines = [];
-
-        if (hasBorder && !hasUniformBorder) {
-          // const rect = el.getBoundingClientRect(); // Already defined above
-          const x = pxToInch(rect.left);
-          const y = pxToInch(rect.top);
-          const w = pxToInch(rect.width);
-          const h = pxToInch(rect.height);
-
-          // Collect lines to add after shape (inset by half the line width to center on edge)
-          if (parseFloat(borderTop) > 0) {
-            const widthPt = pxToPoints(borderTop);
-            const inset = (widthPt / 72) / 2; // Convert points to inches, then half
-            borderLines.push({
-              type: 'line',
-              x1: x, y1: y + inset, x2: x + w, y2: y + inset,
-              width: widthPt,
-              color: rgbToHex(computed.borderTopColor)
-            });
-          }
-          if (parseFloat(borderRight) > 0) {
-            const widthPt = pxToPoints(borderRight);
-            const inset = (widthPt / 72) / 2;
-            borderLines.push({
-              type: 'line',
-              x1: x + w - inset, y1: y, x2: x + w - inset, y2: y + h,
-              width: widthPt,
-              color: rgbToHex(computed.borderRightColor)
-            });
-          }
-          if (parseFloat(borderBottom) > 0) {
-            const widthPt = pxToPoints(borderBottom);
-            const inset = (widthPt / 72) / 2;
-            borderLines.push({
-              type: 'line',
-              x1: x, y1: y + h - inset, x2: x + w, y2: y + h - inset,
-              width: widthPt,
-              color: rgbToHex(computed.borderBottomColor)
-            });
-          }
-          if (parseFloat(borderLeft) > 0) {
-            const widthPt = pxToPoints(borderLeft);
-            const inset = (widthPt / 72) / 2;
-            borderLines.push({
-              type: 'line',
-              x1: x + inset, y1: y, x2: x + inset, y2: y + h,
-              width: widthPt,
-              color: rgbToHex(computed.borderLeftColor)
-            });
-          }
-        }
+        // Partial borders become lines drawn after the shape
+        const borderLines = hasBorder && !hasUniformBorder ? getBorderLines(computed, rect) : [];
 
         // Original logic checked for hasBg or hasBorder. 
-        // If we rasterized (hasBackgroundImage), we might still want border lines if they are separate?
+        // If we rasterized (isRasterBackground), we might still want border lines if they are separate?
         // But the screenshot includes borders.
 
-        if ((hasBg || hasBorder) && !hasBackgroundImage) { // Skip if rasterized
+        if ((hasFill || hasBorder) && !isRasterBackground) { // Skip if rasterized
           // Check if container has any meaningful text content
           // If it only contains icons/empty elements, we should rasterize it as an image like 'hasBackgroundImage'
           // rather than making it a shape, to preserve the icon+background grouping.
@@ -876,9 +3264,14 @@ async function extractSlideData(page) {
           };
 
           const hasText = hasTextContent(el);
+          // Rotated boxes are described un-rotated and turned by PowerPoint
+          const { box, transform } = getBoxTransform(el, rect);
+          const boxGeometry = getBoxGeometry(computed, { left: box.x, top: box.y, width: box.w, height: box.h });
 
           // If no text, treat as image (rasterize)
-          if (!hasText) {
+          // Childless gradient, picture or non-rectangular DIVs (accent bars, photos, dots, pills, badges) have nothing to group, keep them native
+          const isShaped = boxGeometry.geometry !== 'rect' && boxGeometry.geometry !== 'roundRect';
+          if (!hasText && !((gradient || hasBackgroundImage || isShaped) && el.children.length === 0)) {
             if (!el.id) el.id = `bg-icon-${Math.random().toString(36).substr(2, 9)}`;
 
             icons.push({
@@ -914,46 +3307,52 @@ async function extractSlideData(page) {
             const shadow = parseBoxShadow(computed.boxShadow);
 
             // Only add shape if there's background or uniform border
-            if (hasBg || hasUniformBorder) {
-              elements.push({
-                type: 'shape',
-                text: '',  // Shape only - child text elements render on top
-                position: {
-                  x: pxToInch(rect.left),
-                  y: pxToInch(rect.top),
-                  w: pxToInch(rect.width),
-                  h: pxToInch(rect.height)
-                },
-                shape: {
-                  fill: hasBg ? rgbToHex(computed.backgroundColor) : null,
-                  transparency: hasBg ? extractAlpha(computed.backgroundColor) : null,
-                  line: hasUniformBorder ? { width: pxToPoints(borders[0]), color: rgbToHex(computed.borderColor) } : null,
-                  // Convert border-radius to rectRadius (in inches)
-                  // % values: 50%+ = circle (1), <50% = percentage of min dimension
-                  // pt values: divide by 72 (72pt = 1 inch)
-                  // px values: divide by 96 (96px = 1 inch)
-                  rectRadius: (() => {
-                    const radius = computed.borderRadius;
-                    const radiusValue = parseFloat(radius);
-                    if (radiusValue === 0) return 0;
-
-                    if (radius.includes('%')) {
-                      if (radiusValue >= 50) return 1;
-                      // Calculate percentage of smaller dimension
-                      const minDim = Math.min(rect.width, rect.height);
-                      return (radiusValue / 100) * pxToInch(minDim);
-                    }
+            if (hasFill || hasUniformBorder) {
+              const position = boxGeometry.position || {
+                x: pxToInch(box.x),
+                y: pxToInch(box.y),
+                w: pxToInch(box.w),
+                h: pxToInch(box.h)
+              };
+              const backgroundFill = hasBackgroundImage ? getBackgroundImageFill(computed, box, position) : null;
+              const hasColorFill = hasBg && (!backgroundFill || computed.backgroundColor !== 'rgba(0, 0, 0, 0)');
+              const shape = {
+                fill: hasColorFill ? rgbToHex(computed.backgroundColor) : null,
+                transparency: hasColorFill ? extractAlpha(computed.backgroundColor) : null,
+                gradient: gradient,
+                line: hasUniformBorder ? { width: pxToPoints(borders[0]), color: rgbToHex(computed.borderColor) } : null,
+                // border-radius and clip-path: ellipse, roundRect (rectRadius in inches) or custom geometry points
+                geometry: boxGeometry.geometry,
+                rectRadius: boxGeometry.rectRadius || 0,
+                points: boxGeometry.points,
+                // clip-path cuts the box shadow away in the browser too
+                shadow: computed.clipPath && computed.clipPath !== 'none' ? null : shadow,
+                ...transform
+              };
 
-                    if (radius.includes('pt')) return radiusValue / 72;
-                    return radiusValue / PX_PER_IN;
-                  })(),
-                  shadow: shadow
-                }
-              });
+              if (backgroundFill && shape.fill) {
+                // A shape has one fill: the background color (with the shadow) goes underneath,
+                // a copy with the picture fill and the border on top
+                elements.push({ type: 'shape', text: '', position, shape: { ...shape, line: null } });
+                elements.push({
+                  type: 'shape',
+                  text: '',
+                  position,
+                  shape: { ...shape, fill: null, transparency: null, shadow: null, picture: { src: backgroundFill.src, ...backgroundFill.fill } }
+                });
+              } else {
+                if (backgroundFill) shape.picture = { src: backgroundFill.src, ...backgroundFill.fill };
+                elements.push({
+                  type: 'shape',
+                  text: '',  // Shape only - child text elements render on top
+                  position,
+                  shape
+                });
+              }
             }
 
-            // Add partial border lines
-            elements.push(...borderLines);
+            // Add partial border lines (straight edges only fit the plain, untransformed box)
+            if (!isShaped && Object.keys(transform).length === 0) elements.push(...borderLines);
 
             // Fall through to allow text extraction if it's a leaf node
           }
@@ -1095,7 +3494,8 @@ async function extractSlideData(page) {
                               lineSpacing: pxToPoints(pComputed.lineHeight),
                               paraSpaceBefore: 0,
                               paraSpaceAfter: 0,
-                              margin: [0, 0, 0, 0]
+                              margin: [0, 0, 0, 0],
+                              ...getTextEffects(pComputed, p.tagName)
                             }
                           });
                           processed.add(p);
@@ -1127,7 +3527,8 @@ async function extractSlideData(page) {
                       lineSpacing: pxToPoints(childComputed.lineHeight),
                       paraSpaceBefore: 0,
                       paraSpaceAfter: 0,
-                      margin: [0, 0, 0, 0]
+                      margin: [0, 0, 0, 0],
+                      ...getTextEffects(childComputed, child.tagName)
                     }
                   });
                   processed.add(child);
@@ -1154,20 +3555,72 @@ async function extractSlideData(page) {
         const items = [];
         const ulComputed = window.getComputedStyle(el);
         const ulPaddingLeftPt = pxToPoints(ulComputed.paddingLeft);
+        const listComputed = window.getComputedStyle(liElements[0] || el);
 
         // Split: margin-left for bullet position, indent for text position
         // margin-left + indent = ul padding-left
         const marginLeft = ulPaddingLeftPt * 0.5;
-        const textIndent = ulPaddingLeftPt * 0.5;
+
+        // Item numbers as the browser counts them: start, reversed and li value
+        const ordinals = new Map();
+        [el, ...el.querySelectorAll('ul, ol')].forEach(list => {
+          const listItems = Array.from(list.children).filter(child => child.tagName === 'LI');
+          const step = list.reversed ? -1 : 1;
+          let next = list.tagName === 'OL' && list.hasAttribute('start') ? list.start : (list.reversed ? listItems.length : 1);
+          listItems.forEach(li => {
+            const value = li.hasAttribute('value') ? parseInt(li.getAttribute('value'), 10) || next : next;
+            ordinals.set(li, value);
+            next = value + step;
+          });
+        });
+        // Last numbered item per level: PowerPoint keeps counting a level while startAt stays the same,
+        // and a paragraph on a shallower level ends the deeper sequences
+        const numberedByLevel = [];
 
         liElements.forEach((li, idx) => {
           if (processed.has(li)) return; // Skip already processed flex li
           const isLast = idx === liElements.length - 1;
-          const runs = parseInlineFormatting(li, { breakLine: false });
+          const liComputed = window.getComputedStyle(li);
+
+          // Nested lists become indent levels; their item text sits wherever the browser put it
+          let level = 0;
+          for (let parent = li.parentElement; parent && parent !== el; parent = parent.parentElement) {
+            if (parent.tagName === 'UL' || parent.tagName === 'OL') level++;
+          }
+          numberedByLevel.length = Math.min(numberedByLevel.length, level + 1);
+
+          // Nested levels often shrink or recolor their text
+          const itemOptions = { breakLine: false };
+          if (liComputed.fontSize !== listComputed.fontSize) itemOptions.fontSize = pxToPoints(liComputed.fontSize);
+          if (liComputed.color !== listComputed.color) itemOptions.color = rgbToHex(liComputed.color);
+
+          const runs = parseInlineFormatting(li, itemOptions);
           // Clean manual bullets from first run
           if (runs.length > 0) {
+            const hasManualBullet = /^[•\-\*▪▸]\s*/.test(runs[0].text);
             runs[0].text = runs[0].text.replace(/^[•\-\*▪▸]\s*/, '');
-            runs[0].options.bullet = { indent: textIndent };
+
+            // A hand-typed bullet on an unstyled list still becomes a real bullet
+            const bullet = getListBullet(li, liComputed, runs[0].options.color || rgbToHex(listComputed.color)) ||
+              (hasManualBullet ? {} : false);
+            if (bullet) {
+              const liRect = li.getBoundingClientRect();
+              const textLeftPt = pxToPoints(liRect.left + parseFloat(liComputed.paddingLeft) + parseFloat(liComputed.borderLeftWidth) - rect.left);
+              // PptxGenJS puts the text at indent * (level + 1) from the box margin and hangs the bullet by indent
+              bullet.indent = Math.max(0, (textLeftPt - marginLeft) / (level + 1));
+              if (bullet.type === 'number') {
+                const ordinal = ordinals.get(li) || 1;
+                const previous = numberedByLevel[level];
+                const startAt = previous && previous.list === li.parentElement && ordinal === previous.ordinal + 1
+                  ? previous.startAt
+                  : ordinal;
+                // PowerPoint numbers from 1 up
+                bullet.startAt = Math.max(1, startAt);
+                numberedByLevel[level] = { list: li.parentElement, ordinal, startAt };
+              }
+            }
+            runs[0].options.bullet = bullet;
+            if (level > 0) runs[0].options.indentLevel = level;
           }
           // Set breakLine on last run
           if (runs.length > 0 && !isLast) {
@@ -1198,27 +3651,210 @@ async function extractSlideData(page) {
               paraSpaceBefore: 0,
               paraSpaceAfter: pxToPoints(computed.marginBottom),
               // PptxGenJS margin array is [left, right, bottom, top]
-              margin: [marginLeft, 0, 0, 0]
+              margin: [marginLeft, 0, 0, 0],
+              ...getTextEffects(computed, el.tagName)
             }
           });
         }
 
         liElements.forEach(li => processed.add(li));
+        el.querySelectorAll('ul, ol').forEach(list => processed.add(list));
+
+        processed.add(el);
+        return;
+      }
+
+      // Extract <pre> code blocks as one shape with the block's background and border that holds the code:
+      // whitespace as laid out (tabs expanded to tab-size), a monospace font and highlighter token colors as runs
+      if (el.tagName === 'PRE') {
+        const computed = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        const runs = parseInlineFormatting(el, {}, [], (str) => applyTextTransform(str, computed.textTransform));
+
+        // One run per line piece with breakLine closing each line (PptxGenJS mis-splits runs holding "\n").
+        // Tab stops count characters from the start of the line
+        const tabSize = parseInt(computed.tabSize, 10) || 8;
+        const codeRuns = [];
+        let column = 0;
+        runs.forEach(run => {
+          run.text.split('\n').forEach((piece, idx) => {
+            if (idx > 0) {
+              const lastRun = codeRuns[codeRuns.length - 1];
+              if (!lastRun || lastRun.options.breakLine) codeRuns.push({ text: '', options: { ...run.options, breakLine: true } });
+              else lastRun.options.breakLine = true;
+              column = 0;
+            }
+            if (!piece) return;
+            const text = piece.replace(/\t|[^\t]+/g, (part) => {
+              if (part !== '\t') {
+                column += part.length;
+                return part;
+              }
+              const spaces = tabSize - (column % tabSize);
+              column += spaces;
+              return ' '.repeat(spaces);
+            });
+            codeRuns.push({ text, options: { ...run.options } });
+          });
+        });
+        // A line break right before </pre> does not start another line
+        if (codeRuns.length > 0) codeRuns[codeRuns.length - 1].options.breakLine = false;
+
+        if (rect.width > 0 && rect.height > 0 && codeRuns.some(run => run.text.trim())) {
+          const borders = ['Top', 'Right', 'Bottom', 'Left'].map(side => parseFloat(computed[`border${side}Width`]) || 0);
+          const hasUniformBorder = borders[0] > 0 && borders.every(b => b === borders[0]);
+          const hasBg = computed.backgroundColor && computed.backgroundColor !== 'rgba(0, 0, 0, 0)';
+          // Rotated blocks are described un-rotated and turned by PowerPoint, like DIV shapes
+          const { box, transform } = getBoxTransform(el, rect);
+          const boxGeometry = getBoxGeometry(computed, { left: box.x, top: box.y, width: box.w, height: box.h });
+
+          elements.push({
+            type: 'shape',
+            text: codeRuns,
+            position: boxGeometry.position || {
+              x: pxToInch(box.x),
+              y: pxToInch(box.y),
+              w: pxToInch(box.w),
+              h: pxToInch(box.h)
+            },
+            shape: {
+              fill: hasBg ? rgbToHex(computed.backgroundColor) : null,
+              transparency: hasBg ? extractAlpha(computed.backgroundColor) : null,
+              line: hasUniformBorder ? { width: pxToPoints(borders[0]), color: rgbToHex(computed.borderTopColor) } : null,
+              geometry: boxGeometry.geometry,
+              rectRadius: boxGeometry.rectRadius || 0,
+              points: boxGeometry.points,
+              shadow: parseBoxShadow(computed.boxShadow),
+              ...transform
+            },
+            style: {
+              fontSize: pxToPoints(computed.fontSize),
+              fontFace: getMonospaceFont(computed.fontFamily),
+              color: rgbToHex(computed.color),
+              transparency: extractAlpha(computed.color),
+              align: 'left',
+              valign: 'top',
+              lineSpacing: computed.lineHeight && computed.lineHeight !== 'normal' ? pxToPoints(computed.lineHeight) : null,
+              // PptxGenJS margin array is [left, right, bottom, top]
+              margin: [
+                pxToPoints(parseFloat(computed.paddingLeft) + borders[3]),
+                pxToPoints(parseFloat(computed.paddingRight) + borders[1]),
+                pxToPoints(parseFloat(computed.paddingBottom) + borders[2]),
+                pxToPoints(parseFloat(computed.paddingTop) + borders[0])
+              ],
+              wrap: computed.whiteSpace !== 'pre' && computed.whiteSpace !== 'nowrap'
+            }
+          });
+        }
+
+        el.querySelectorAll('*').forEach(child => processed.add(child));
+        processed.add(el);
+        return;
+      }
+
+      // Extract <hr> as a line through the middle of its box, with its computed color and thickness
+      // (an <hr> taller than wide is a vertical divider)
+      if (el.tagName === 'HR') {
+        const computed = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        const hasBg = computed.backgroundColor && computed.backgroundColor !== 'rgba(0, 0, 0, 0)';
+        const side = ['Top', 'Bottom', 'Left', 'Right'].find(s => parseFloat(computed[`border${s}Width`]) > 0);
+        const color = hasBg ? computed.backgroundColor : (side ? computed[`border${side}Color`] : null);
+        if (color && rect.width > 0 && rect.height > 0) {
+          const isVertical = rect.height > rect.width;
+          const dashType = !hasBg && BORDER_DASH_TYPES[computed[`border${side}Style`]];
+          elements.push({
+            type: 'line',
+            x1: pxToInch(isVertical ? rect.left + rect.width / 2 : rect.left),
+            y1: pxToInch(isVertical ? rect.top : rect.top + rect.height / 2),
+            x2: pxToInch(isVertical ? rect.left + rect.width / 2 : rect.right),
+            y2: pxToInch(isVertical ? rect.bottom : rect.top + rect.height / 2),
+            width: pxToPoints(isVertical ? rect.width : rect.height),
+            color: rgbToHex(color),
+            transparency: extractAlpha(color),
+            ...(dashType && { dashType })
+          });
+        }
+        processed.add(el);
+        return;
+      }
+
+      // Extract blockquotes: background and uniform border as a shape, border accents (the usual left bar) as lines,
+      // and the quote as one text box on top. Quotes holding lists, images or formulas keep their own shape and lines,
+      // and their content is extracted element by element (an inline-only quote like a paragraph, below)
+      if (el.tagName === 'BLOCKQUOTE') {
+        const computed = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) {
+          processed.add(el);
+          return;
+        }
+        elements.push(...getBoxDecoration(computed, rect));
+
+        const quoteText = getTextFlowElement(el, computed, rect);
+        if (quoteText) {
+          elements.push(quoteText);
+          el.querySelectorAll('*').forEach(child => processed.add(child));
+          processed.add(el);
+          return;
+        }
+      }
+
+      // Extract a figure's own background and borders; its image and caption follow in document order.
+      // Padding needs nothing: the browser already placed the content inside it
+      if (el.tagName === 'FIGURE') {
+        const rect = el.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > 0) elements.push(...getBoxDecoration(window.getComputedStyle(el), rect));
+        processed.add(el);
+        return;
+      }
+
+      // Extract figure captions as one text box where the browser put them; traversal is in document order,
+      // so a caption stays before or after its figure's image as written
+      if (el.tagName === 'FIGCAPTION') {
+        const captionText = getTextFlowElement(el, window.getComputedStyle(el), el.getBoundingClientRect());
+        if (captionText && captionText.position.w > 0 && captionText.position.h > 0) {
+          elements.push(captionText);
+          el.querySelectorAll('*').forEach(child => processed.add(child));
+          processed.add(el);
+          return;
+        }
+      }
 
+      // Extract CSS multi-column text (column-count / column-width) as one text box with PowerPoint columns,
+      // so the text stays one flow that PowerPoint rebalances. Columns holding anything but paragraphs and headings
+      // (images, nested boxes, lists) keep the per-element extraction below
+      const columnComputed = window.getComputedStyle(el);
+      const columnRect = el.getBoundingClientRect();
+      const columnLayout = el !== document.body && columnRect.width > 0 && el.textContent.trim()
+        ? getColumnLayout(columnComputed, columnRect.width - parseFloat(columnComputed.paddingLeft) - parseFloat(columnComputed.paddingRight) -
+          parseFloat(columnComputed.borderLeftWidth) - parseFloat(columnComputed.borderRightWidth))
+        : null;
+      // Column rules and column-span: all have no PowerPoint equivalent: such columns are extracted element by element
+      const canUseColumns = columnLayout &&
+        !(columnComputed.columnRuleStyle !== 'none' && parseFloat(columnComputed.columnRuleWidth) > 0) &&
+        !Array.from(el.children).some(child => window.getComputedStyle(child).columnSpan === 'all');
+      const columnText = canUseColumns ? getTextFlowElement(el, columnComputed, columnRect) : null;
+      if (columnText) {
+        columnText.style.columns = columnLayout;
+        elements.push(columnText);
+        el.querySelectorAll('*').forEach(child => processed.add(child));
         processed.add(el);
         return;
       }
 
-      // Extract text elements (P, H1, H2, etc.)
-      const isTextTag = textTags.includes(el.tagName);
+      // Extract text elements (P, H1, H2, etc.). A quote or caption the text flow above could not take (formulas, images)
+      // is extracted like a paragraph when it holds only inline content
+      const isTextTag = textTags.includes(el.tagName) || (['BLOCKQUOTE', 'FIGCAPTION'].includes(el.tagName) &&
+        Array.from(el.children).every(child => window.getComputedStyle(child).display.startsWith('inline')));
       let isLeafDiv = false;
       let isStandaloneSpan = false;
 
       if (el.tagName === 'DIV') {
         // Check if explicit text leaf (contains text content and NO block children)
         // Also exclude DIVs containing SVG/CANVAS (chart containers) to prevent merged chart text
-        const hasBlockChildren = Array.from(el.children).some(c =>
-          ['DIV', 'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'TABLE', 'SECTION', 'ARTICLE', 'SVG', 'CANVAS'].includes(c.tagName.toUpperCase())
+        const hasBlockChildren = Array.from(el.children).some(c => !isDecorativePseudo(c) &&
+          ['DIV', 'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'PRE', 'BLOCKQUOTE', 'FIGURE', 'FIGCAPTION', 'HR', 'TABLE', 'SECTION', 'ARTICLE', 'SVG', 'CANVAS'].includes(c.tagName.toUpperCase())
         );
         // Also check if any child has already been processed (e.g., styled SPANs)
         // EXCEPTION: Ignore processed ICONS (deferred icons) - they shouldn't block text extraction
@@ -1267,8 +3903,8 @@ async function extractSlideData(page) {
           // BUT: if parent is in styledSpanParents, it won't be processed as leafDiv,
           // so we should NOT skip this SPAN in that case
           if (parent.tagName === 'DIV') {
-            const parentHasBlockChildren = Array.from(parent.children).some(c =>
-              ['DIV', 'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'TABLE', 'SECTION', 'ARTICLE', 'SVG', 'CANVAS'].includes(c.tagName.toUpperCase())
+            const parentHasBlockChildren = Array.from(parent.children).some(c => !isDecorativePseudo(c) &&
+              ['DIV', 'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'PRE', 'BLOCKQUOTE', 'FIGURE', 'FIGCAPTION', 'HR', 'TABLE', 'SECTION', 'ARTICLE', 'SVG', 'CANVAS'].includes(c.tagName.toUpperCase())
             );
             const parentIsStyledSpanParent = styledSpanParents.has(parent);
             // Only treat as "handled by parent" if parent will actually be processed as leafDiv
@@ -1315,32 +3951,8 @@ async function extractSlideData(page) {
 
 
       const computed = window.getComputedStyle(el);
-      const rotation = getRotation(computed.transform, computed.writingMode);
-      let { x, y, w, h } = getPositionAndSize(el, rect, rotation);
-
-      // Check for icon elements inside text - adjust position to avoid overlap
-      // Note: Apply this regardless of whether icon is processed (for leaf DIVs with icons)
-      const iconElement = el.querySelector('i.fa, i.fas, i.fab, i.far, i[class*="fa-"], [class*="icon"]');
-      if (iconElement) {
-        const iconRect = iconElement.getBoundingClientRect();
-        const iconComputed = window.getComputedStyle(iconElement);
-        const iconMarginRight = parseFloat(iconComputed.marginRight) || 0;
-
-        // Adjust text start position to after the icon
-        const iconEndX = iconRect.right + iconMarginRight;
-
-        // DEBUG: values for date div
-        /*
-        if (el.textContent.includes('작성일')) {
-          console.warn(`[DEBUG] IconOffset: rect.left=${rect.left}, iconRect.right=${iconRect.right}, iconEndX=${iconEndX}, w=${rect.right - iconEndX}`);
-        }
-        */
-
-        if (iconEndX > rect.left && iconRect.width > 0) {
-          x = iconEndX;
-          w = rect.right - iconEndX;
-        }
-      }
+      const rotation = getRotation(el, computed.writingMode);
+      let { x, y, w, h } = getPositionAndSize(el, rect, rotation, getTransformState(el));
 
       // Handle transparent text (e.g. background-clip: text gradient)
       let textColor = rgbToHex(computed.color);
@@ -1382,29 +3994,50 @@ async function extractSlideData(page) {
           pxToPoints(computed.paddingBottom),
           pxToPoints(computed.paddingTop)
         ],
-        bullet: isManualBullet ? { type: 'bullet', code: '2022' } : false
+        bullet: isManualBullet ? { type: 'bullet', code: '2022' } : false,
+        ...getTextEffects(computed, el.tagName)
       };
 
-      // Handle Background Color for Table Cells (TH/TD)
-      if (el.tagName === 'TH' || el.tagName === 'TD') {
-        const bgColor = computed.backgroundColor;
-        if (bgColor && bgColor !== 'rgba(0, 0, 0, 0)' && bgColor !== 'transparent') {
-          const hex = rgbToHex(bgColor);
-          const bgAlpha = extractAlpha(bgColor);
-          if (bgAlpha !== null) {
-            baseStyle.fill = { color: '#' + hex, transparency: bgAlpha };
-          } else {
-            baseStyle.fill = '#' + hex;
-          }
-        }
-      }
-
       const transparency = extractAlpha(computed.color);
       if (transparency !== null) baseStyle.transparency = transparency;
 
       if (rotation !== null) baseStyle.rotate = rotation;
 
-      const hasFormatting = el.querySelector('b, i, u, strong, em, span, div, a, br');
+      // Text flowing around inline images/icons: one unwrapped text box per measured line fragment,
+      // so the gaps left for the images (placed at their own rects) survive
+      const fragments = rotation === null ? getInlineFragments(el) : null;
+      if (fragments) {
+        const textTransform = (str) => applyTextTransform(str, computed.textTransform);
+        fragments.forEach(fragment => {
+          const runs = parseInlineFormatting(el, {}, [], textTransform, fragment.slices);
+          if (runs.length === 0) return;
+          elements.push({
+            type: el.tagName.toLowerCase(),
+            text: runs,
+            position: {
+              x: pxToInch(fragment.rect.left),
+              y: pxToInch(fragment.rect.top),
+              w: pxToInch(fragment.rect.right - fragment.rect.left),
+              h: pxToInch(fragment.rect.bottom - fragment.rect.top)
+            },
+            style: {
+              ...baseStyle,
+              align: 'left',
+              valign: 'middle',
+              lineSpacing: null,
+              paraSpaceBefore: 0,
+              paraSpaceAfter: 0,
+              margin: [0, 0, 0, 0],
+              wrap: false,
+              bullet: false
+            }
+          });
+        });
+        processed.add(el);
+        return;
+      }
+
+      const hasFormatting = el.querySelector('b, i, u, strong, em, span, div, a, br, sup, sub, s, del, strike, code, kbd, samp, math, .katex');
 
       if (hasFormatting) {
         // Text with inline formatting
@@ -1451,19 +4084,56 @@ async function extractSlideData(page) {
       }
 
       processed.add(el);
+    };
+
+    document.querySelectorAll('*').forEach((el) => {
+      const firstNew = elements.length;
+      extractElement(el);
+      const opacity = getEffectiveOpacity(el);
+      // SVG text is already sized through getScreenCTM, which includes CSS transforms
+      const { scaleX, scaleY } = getTransformState(el);
+      const textScale = el.tagName.toUpperCase() === 'SVG' ? 1 : Math.sqrt(scaleX * scaleY);
+      elements.slice(firstNew).forEach(element => {
+        applyOpacity(element, opacity);
+        applyTextScale(element, textScale);
+      });
     });
 
     // Append deferred icons to elements at the end for correct z-order (icons on top of all backgrounds)
     elements.push(...deferredIcons);
 
-    return { background, elements, placeholders, errors, icons };
-  });
+    // Emoji left in text runs get the emoji font
+    elements.forEach(element => {
+      if (element.type === 'table') {
+        element.rows.forEach(row => row.forEach(cell => { cell.text = splitEmojiRuns(cell.text); }));
+      } else if (element.type === 'list') {
+        element.items = splitEmojiRuns(element.items);
+      } else if (element.type !== 'equation' && element.text) {
+        element.text = splitEmojiRuns(element.text);
+      }
+    });
+
+    // Icon-font icons carry their glyph so they can be embedded as vector instead of screenshotted
+    icons.forEach(icon => {
+      const iconEl = document.getElementById(icon.id);
+      // Skewed icons keep their screenshot, the vector glyph could only be drawn unskewed
+      const glyph = iconEl && !icon.hideChildren && ['I', 'SPAN'].includes(iconEl.tagName) && Math.abs(getTransformState(iconEl).skew) <= 0.5
+        ? readIconGlyph(iconEl) : null;
+      if (glyph) icon.glyph = { ...glyph, opacity: getEffectiveOpacity(iconEl) };
+    });
+
+    restorePseudoElements();
+
+    return { background, elements, placeholders, errors, icons, notes: extractNotes() };
+  }, extractOptions);
 }
 
 async function html2pptx(htmlFile, pres, options = {}) {
   const {
     tmpDir = process.env.TMPDIR || '/tmp',
-    slide = null
+    slide = null,
+    emojiFont = 'Segoe UI Emoji',
+    rasterizeEmoji = false
   } = options;
 
   try {
@@ -1494,11 +4164,15 @@ async function html2pptx(htmlFile, pres, options = {}) {
       });
 
       await page.setViewportSize({ width: 1280, height: 720 });
+      const getPageFonts = collectPageFonts(page);
       await page.goto(`file://${filePath}`, { waitUntil: 'networkidle' });
 
       // Wait for dynamic content (D3.js charts, Tailwind CSS JIT, etc.)
       await page.waitForTimeout(500);
 
+      // Speaker notes must not take up space on the slide or count towards overflow
+      await page.addStyleTag({ content: 'aside.notes { display: none !important; }' });
+
       bodyDimensions = await getBodyDimensions(page);
 
       await page.setViewportSize({
@@ -1506,7 +4180,17 @@ async function html2pptx(htmlFile, pres, options = {}) {
         height: Math.round(bodyDimensions.height)
       });
 
-      slideData = await extractSlideData(page);
+      slideData = await extractSlideData(page, { emojiFont, rasterizeEmoji });
+
+      // Formulas become Office Math; those using constructs OMML cannot express are screenshotted like icons
+      slideData.elements = slideData.elements.map(element => {
+        if (element.type !== 'equation') return element;
+        const { mathml, ...equation } = element;
+        const omml = mathmlToOmml(mathml, { display: equation.display });
+        if (omml) return { ...equation, omml };
+        slideData.icons.push({ id: equation.id, position: equation.position });
+        return { type: 'image-placeholder', id: equation.id, position: equation.position };
+      });
 
       // Handle icons: Screenshot and add as images
       if (slideData.icons && slideData.icons.length > 0) {
@@ -1514,10 +4198,20 @@ async function html2pptx(htmlFile, pres, options = {}) {
         await page.addStyleTag({ content: 'body::-webkit-scrollbar { display: none; }' });
 
         const iconMap = new Map();
+        const pageFonts = await getPageFonts();
 
         for (const icon of slideData.icons) {
           if (!icon.id) continue;
 
+          // Icon-font glyphs are embedded as vector SVG straight from the loaded font, no screenshot needed
+          if (icon.glyph) {
+            const vectorIcon = await renderIconGlyph(pageFonts, icon.glyph).catch(() => null);
+            if (vectorIcon) {
+              iconMap.set(icon.id, vectorIcon);
+              continue;
+            }
+          }
+
           const iconPath = path.join(tmpDir, `icon-${icon.id}-${Date.now()}.png`);
           try {
             const locator = page.locator(`#${icon.id}`);
@@ -1714,10 +4408,24 @@ async function html2pptx(htmlFile, pres, options = {}) {
         // Resolve placeholders in elements
         slideData.elements = slideData.elements.map(el => {
           if (el.type === 'image-placeholder') {
-            if (iconMap.has(el.id)) {
+            const icon = iconMap.get(el.id);
+            if (icon && typeof icon === 'object') {
+              // Vector glyph sized from the font metrics, centered on the icon element
+              return {
+                type: 'image',
+                data: icon.data,
+                preview: icon.preview,
+                position: {
+                  x: el.position.x + (el.position.w - icon.w) / 2,
+                  y: el.position.y + (el.position.h - icon.h) / 2,
+                  w: icon.w,
+                  h: icon.h
+                }
+              };
+            } else if (icon) {
               return {
                 type: 'image',
-                src: iconMap.get(el.id),
+                src: icon,
                 position: el.position
               };
             } else {
@@ -1729,6 +4437,23 @@ async function html2pptx(htmlFile, pres, options = {}) {
         }).filter(el => el !== null);
       }
 
+      // Render body gradients that have no native equivalent to a slide-sized PNG background
+      if (slideData.background.type === 'raster') {
+        const bgPath = path.join(tmpDir, `bg-${Date.now()}.png`);
+        try {
+          // Hide all content so only the body background is captured (runs last, nothing needs restoring)
+          await page.addStyleTag({ content: 'body *, body::before, body::after { visibility: hidden !important; }' });
+          await page.screenshot({
+            path: bgPath,
+            clip: { x: 0, y: 0, width: bodyDimensions.width, height: bodyDimensions.height }
+          });
+          slideData.background = { type: 'image', path: bgPath };
+        } catch (err) {
+          console.warn('Failed to render gradient background, using background color instead:', err.message);
+          slideData.background = { type: 'color', value: slideData.background.value };
+        }
+      }
+
     } finally {
       await browser.close();
     }
@@ -1763,8 +4488,12 @@ async function html2pptx(htmlFile, pres, options = {}) {
 
     const targetSlide = slide || pres.addSlide();
 
-    await addBackground(slideData, targetSlide, tmpDir);
+    registerHtmlSlide(pres, filePath, targetSlide);
+    resolveHyperlinks(slideData, targetSlide, pres);
+
+    await addBackground(slideData, targetSlide, tmpDir, pres);
     addElements(slideData, targetSlide, pres);
+    addNotes(slideData, targetSlide, pres);
 
     return { slide: targetSlide, placeholders: slideData.placeholders };
   } catch (error) {
@@ -0,0 +1,126 @@
+/**
+ * Hyperlink resolution for HTML to PPTX conversion
+ * Turns links extracted from <a href> into PptxGenJS hyperlink options,
+ * including jumps to slides converted from other HTML pages of the deck
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { addExportHook } = require('./xml-patches');
+
+/**
+ * Remember which slide an HTML file was converted into, so links to that page can jump to it
+ * @param {Object} pres - PptxGenJS presentation
+ * @param {string} filePath - HTML file path
+ * @param {Object} slide - PptxGenJS slide
+ */
+function registerHtmlSlide(pres, filePath, slide) {
+    if (!pres._htmlSlides) pres._htmlSlides = new Map();
+    pres._htmlSlides.set(path.resolve(filePath), slide);
+}
+
+/**
+ * Collect all text runs of the extracted elements (text boxes, shapes, lists and table cells)
+ * @param {Array} elements - Extracted slide elements
+ * @returns {Array} Text runs
+ */
+function collectTextRuns(elements) {
+    const runs = [];
+    const addRuns = (text) => {
+        if (Array.isArray(text)) runs.push(...text);
+    };
+
+    elements.forEach(el => {
+        addRuns(el.text);
+        addRuns(el.items);
+        if (el.rows) el.rows.forEach(row => row.forEach(cell => addRuns(cell.text)));
+    });
+    return runs;
+}
+
+/**
+ * Escape a URL for an XML attribute (relationship targets are written as is)
+ * @param {string} url - Raw URL
+ * @returns {string} Escaped URL
+ */
+function escapeXmlAttribute(url) {
+    return url.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Point a page link at the slide its HTML file was converted into, once the deck is complete
+ * @param {Object} pres - PptxGenJS presentation
+ * @param {Object} sourceSlide - Slide containing the link
+ * @param {Object} hyperlink - Run hyperlink option (PptxGenJS stores the rel id on it)
+ * @param {string} targetPath - Absolute path of the linked HTML file
+ */
+function resolvePageLink(pres, sourceSlide, hyperlink, targetPath) {
+    const rel = sourceSlide._rels.find(r => r.rId === hyperlink._rId);
+    if (!rel) return;
+
+    const targetSlide = pres._htmlSlides && pres._htmlSlides.get(targetPath);
+    const slideNumber = targetSlide ? pres.slides.indexOf(targetSlide) + 1 : 0;
+    if (slideNumber > 0) {
+        hyperlink.slide = slideNumber;
+        rel.Target = String(slideNumber);
+        return;
+    }
+
+    // The page was never converted into this deck: keep it as a link to the HTML file
+    console.warn(`Warning: Link target ${targetPath} is not a slide in this presentation, linking to the file instead`);
+    delete hyperlink.slide;
+    hyperlink.url = pathToFileURL(targetPath).href;
+    rel.data = 'dummy';
+    rel.Target = escapeXmlAttribute(hyperlink.url);
+}
+
+/**
+ * Drop a slide-number link (#slide-N) whose slide is not in the finished deck,
+ * PowerPoint reports a relationship to a missing slide as a damaged file
+ * @param {Object} pres - PptxGenJS presentation
+ * @param {Object} sourceSlide - Slide containing the link
+ * @param {Object} runOptions - Options of the linked run
+ */
+function checkSlideLink(pres, sourceSlide, runOptions) {
+    const hyperlink = runOptions.hyperlink;
+    if (!hyperlink || hyperlink.slide <= pres.slides.length) return;
+
+    console.warn(`Warning: Link to slide ${hyperlink.slide} dropped, the presentation has ${pres.slides.length} slides`);
+    sourceSlide._rels = sourceSlide._rels.filter(r => r.rId !== hyperlink._rId);
+    delete runOptions.hyperlink;
+}
+
+/**
+ * Convert extracted link descriptors into PptxGenJS hyperlink options
+ * Must run before the elements are added, since PptxGenJS creates the link relationships in addText/addTable
+ * @param {Object} slideData - Extracted slide data
+ * @param {Object} targetSlide - PptxGenJS slide
+ * @param {Object} pres - PptxGenJS presentation
+ */
+function resolveHyperlinks(slideData, targetSlide, pres) {
+    collectTextRuns(slideData.elements).forEach(run => {
+        const link = run.options && run.options.hyperlink;
+        if (!link) return;
+
+        if (link.url) {
+            run.options.hyperlink = { url: link.url, tooltip: link.tooltip };
+        } else if (link.slide) {
+            run.options.hyperlink = { slide: link.slide, tooltip: link.tooltip };
+            const runOptions = run.options;
+            addExportHook(pres, () => checkSlideLink(pres, targetSlide, runOptions));
+        } else if (link.page) {
+            // Slide numbers are only known once every page has been added, so fix the target on export
+            const hyperlink = { slide: 1, tooltip: link.tooltip };
+            const targetPath = path.resolve(link.page);
+            run.options.hyperlink = hyperlink;
+            addExportHook(pres, () => resolvePageLink(pres, targetSlide, hyperlink, targetPath));
+        } else {
+            delete run.options.hyperlink;
+        }
+    });
+}
+
+module.exports = {
+    registerHtmlSlide,
+    resolveHyperlinks
+};
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for hyperlink resolution, run against the relationships PptxGenJS actually writes
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const pptxgen = require('pptxgenjs');
+const { registerHtmlSlide, resolveHyperlinks } = require('./hyperlinks');
+
+/**
+ * Add a text box with one linked run to a slide, resolving the link first like html2pptx does
+ * @param {Object} pres - PptxGenJS presentation
+ * @param {Object} slide - PptxGenJS slide
+ * @param {Object} link - Extracted link descriptor ({ url }, { slide } or { page })
+ */
+function addLinkedText(pres, slide, link) {
+    const slideData = { elements: [{ type: 'p', text: [{ text: 'Link', options: { hyperlink: link } }] }] };
+    resolveHyperlinks(slideData, slide, pres);
+    slide.addText(slideData.elements[0].text, { x: 1, y: 1, w: 4, h: 1 });
+}
+
+/**
+ * Write the presentation and return the relationships XML of its first slide
+ * @param {Object} pres - PptxGenJS presentation
+ * @returns {Promise<string>} ppt/slides/_rels/slide1.xml.rels
+ */
+async function readSlideRels(pres) {
+    const zip = await JSZip.loadAsync(await pres.write({ outputType: 'nodebuffer' }));
+    return zip.file('ppt/slides/_rels/slide1.xml.rels').async('string');
+}
+
+test('page links jump to the slide converted from that page', async () => {
+    const pres = new pptxgen();
+    const first = pres.addSlide();
+    const second = pres.addSlide();
+    registerHtmlSlide(pres, '/deck/page_2.html', second);
+    addLinkedText(pres, first, { page: '/deck/page_2.html' });
+
+    assert.match(await readSlideRels(pres), /relationships\/slide" Target="slide2\.xml"/);
+});
+
+test('links to pages outside the deck fall back to an escaped file URL', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const pres = new pptxgen();
+    addLinkedText(pres, pres.addSlide(), { page: '/deck/Q&A.html' });
+
+    const rels = await readSlideRels(pres);
+    assert.match(rels, /Target="file:\/\/\/deck\/Q&amp;A\.html" TargetMode="External"/);
+    assert.ok(!rels.includes('Q&A'));
+});
+
+test('links to slide numbers past the end of the deck are dropped', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const pres = new pptxgen();
+    const first = pres.addSlide();
+    pres.addSlide();
+    addLinkedText(pres, first, { slide: 2 });
+    addLinkedText(pres, first, { slide: 5 });
+
+    const zip = await JSZip.loadAsync(await pres.write({ outputType: 'nodebuffer' }));
+    const rels = await zip.file('ppt/slides/_rels/slide1.xml.rels').async('string');
+    const slideXml = await zip.file('ppt/slides/slide1.xml').async('string');
+    assert.match(rels, /relationships\/slide" Target="slide2\.xml"/);
+    assert.ok(!rels.includes('slide5.xml'));
+    assert.equal((slideXml.match(/<a:hlinkClick /g) || []).length, 1);
+    assert.equal(warn.mock.callCount(), 1);
+});
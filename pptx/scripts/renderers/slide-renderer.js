@@ -3,18 +3,52 @@
  * Handles adding backgrounds and elements to PowerPoint slides
  */
 
+const {
+    addSlideXmlPatch,
+    getPatchObjectName,
+    getSlideXmlPath,
+    getNotesXmlPath,
+    buildGradientFillXml,
+    buildPictureFillXml,
+    buildNotesBodyXml,
+    buildEquationXml,
+    replaceNotesBody,
+    replaceShapeFill,
+    replaceBulletStyles,
+    setBodyColumns,
+    replaceWithEquation,
+    replaceSlideBackground
+} = require('./xml-patches');
+
 /**
  * Add background to slide
  * @param {Object} slideData - Extracted slide data
  * @param {Object} targetSlide - PptxGenJS slide
  * @param {string} tmpDir - Temporary directory path
+ * @param {Object} pres - PptxGenJS presentation (needed for gradient backgrounds)
  */
-async function addBackground(slideData, targetSlide, tmpDir) {
+async function addBackground(slideData, targetSlide, tmpDir, pres) {
     if (slideData.background.type === 'image' && slideData.background.path) {
-        let imagePath = slideData.background.path.startsWith('file://')
-            ? slideData.background.path.replace('file://', '')
-            : slideData.background.path;
-        targetSlide.background = { path: imagePath };
+        targetSlide.background = getImageSource(slideData.background.path);
+
+        // background-size/-position/-repeat: swap PptxGenJS's stretched picture for the placed or tiled one
+        if (slideData.background.fill && pres) {
+            const fillXml = buildPictureFillXml(targetSlide._bkgdImgRid, slideData.background.fill);
+            addSlideXmlPatch(pres, (xml, fileName) => {
+                if (fileName !== getSlideXmlPath(pres, targetSlide)) return xml;
+                return replaceSlideBackground(xml, fillXml);
+            });
+        }
+    } else if (slideData.background.type === 'gradient' && pres) {
+        // Solid first stop as the placeholder, replaced by <a:gradFill> on export
+        const { gradient } = slideData.background;
+        targetSlide.background = { color: gradient.stops[0].color };
+
+        const fillXml = buildGradientFillXml(gradient);
+        addSlideXmlPatch(pres, (xml, fileName) => {
+            if (fileName !== getSlideXmlPath(pres, targetSlide)) return xml;
+            return replaceSlideBackground(xml, fillXml);
+        });
     } else if (slideData.background.type === 'color' && slideData.background.value) {
         targetSlide.background = { color: slideData.background.value };
     }
@@ -36,25 +70,73 @@ function addElements(slideData, targetSlide, pres) {
         } else if (el.type === 'shape') {
             addShapeElement(el, targetSlide, pres);
         } else if (el.type === 'list') {
-            addListElement(el, targetSlide);
+            addListElement(el, targetSlide, pres);
+        } else if (el.type === 'table') {
+            addTableElement(el, targetSlide);
+        } else if (el.type === 'chart') {
+            addChartElement(el, targetSlide, pres);
+        } else if (el.type === 'equation') {
+            addEquationElement(el, targetSlide, pres);
         } else {
-            addTextElement(el, targetSlide, allElements);
+            addTextElement(el, targetSlide, allElements, pres);
         }
     }
 }
 
+/**
+ * Get PptxGenJS image source options for an image URL
+ * @param {string} src - file:// URL, path, remote URL or data URL
+ * @returns {Object} { path } or { data }
+ */
+function getImageSource(src) {
+    if (src.startsWith('data:')) return { data: src };
+    return { path: src.startsWith('file://') ? src.replace('file://', '') : src };
+}
+
+/**
+ * Add an image to the slide's media without placing it, for picture fills and bullets PptxGenJS cannot write
+ * @param {Object} targetSlide - PptxGenJS slide
+ * @param {string} src - Image URL
+ * @returns {number} Relationship id of the image in the slide's rels
+ */
+function addImageRelationship(targetSlide, src) {
+    targetSlide.addImage({ ...getImageSource(src), x: 0, y: 0, w: 1, h: 1 });
+    return targetSlide._slideObjects.pop().imageRid;
+}
+
 /**
  * Add image element to slide
  */
 function addImageElement(el, targetSlide) {
-    let imagePath = el.src.startsWith('file://') ? el.src.replace('file://', '') : el.src;
-    targetSlide.addImage({
-        path: imagePath,
+    // Images are either files or inline data URLs (e.g. canvas pixels)
+    const imageOptions = {
+        ...(el.data ? { data: el.data } : getImageSource(el.src)),
         x: el.position.x,
         y: el.position.y,
         w: el.position.w,
         h: el.position.h
-    });
+    };
+    if (el.crop) {
+        // PptxGenJS takes the full scaled image as w/h and the visible window (the frame) as the crop rectangle
+        imageOptions.w = el.crop.w;
+        imageOptions.h = el.crop.h;
+        imageOptions.sizing = { type: 'crop', x: el.crop.x, y: el.crop.y, w: el.position.w, h: el.position.h };
+    }
+    if (el.transparency > 0) imageOptions.transparency = el.transparency;
+    if (el.rotate) imageOptions.rotate = el.rotate;
+    if (el.flipH) imageOptions.flipH = true;
+    if (el.flipV) imageOptions.flipV = true;
+    targetSlide.addImage(imageOptions);
+
+    if (el.preview) {
+        // PptxGenJS cannot render the PNG fallback of an SVG in Node and would embed a broken image;
+        // hand it the preview rendered with sharp as a ready-made PNG instead
+        const previewRel = targetSlide._relsMedia.find(rel => rel.isSvgPng && rel.data === el.data);
+        if (previewRel) {
+            previewRel.data = el.preview;
+            previewRel.isSvgPng = false;
+        }
+    }
 }
 
 /**
@@ -66,7 +148,12 @@ function addLineElement(el, targetSlide, pres) {
         y: el.y1,
         w: el.x2 - el.x1,
         h: el.y2 - el.y1,
-        line: { color: el.color, width: el.width }
+        line: {
+            color: el.color,
+            width: el.width,
+            ...(el.transparency > 0 && { transparency: el.transparency }),
+            ...(el.dashType && { dashType: el.dashType })
+        }
     });
 }
 
@@ -79,8 +166,15 @@ function addShapeElement(el, targetSlide, pres) {
         y: el.position.y,
         w: el.position.w,
         h: el.position.h,
-        shape: el.shape.rectRadius > 0 ? pres.ShapeType.roundRect : pres.ShapeType.rect
+        shape: el.shape.geometry
+            ? pres.ShapeType[el.shape.geometry]
+            : (el.shape.rectRadius > 0 ? pres.ShapeType.roundRect : pres.ShapeType.rect)
     };
+    // Custom geometry path points (inches, relative to the shape box)
+    if (el.shape.points) shapeOptions.points = el.shape.points;
+    if (el.shape.flipH) shapeOptions.flipH = true;
+    if (el.shape.flipV) shapeOptions.flipV = true;
+    if (el.shape.rotate) shapeOptions.rotate = el.shape.rotate;
 
     if (el.shape.fill) {
         if (typeof el.shape.fill === 'object') {
@@ -90,17 +184,56 @@ function addShapeElement(el, targetSlide, pres) {
             if (el.shape.transparency != null) shapeOptions.fill.transparency = el.shape.transparency;
         }
     }
+    if (el.shape.gradient) {
+        // PptxGenJS only writes solid fills: use the first stop as a placeholder,
+        // then swap in the real <a:gradFill> when the presentation is exported
+        const firstStop = el.shape.gradient.stops[0];
+        shapeOptions.fill = { color: firstStop.color };
+        if (firstStop.transparency > 0) shapeOptions.fill.transparency = firstStop.transparency;
+
+        const objectName = getPatchObjectName(pres, 'Gradient');
+        const fillXml = buildGradientFillXml(el.shape.gradient);
+        shapeOptions.objectName = objectName;
+        addSlideXmlPatch(pres, (xml) => replaceShapeFill(xml, objectName, fillXml));
+    }
+    if (el.shape.picture) {
+        // PptxGenJS has no picture fills: swap the placeholder fill for a <a:blipFill> on export
+        const imageRid = addImageRelationship(targetSlide, el.shape.picture.src);
+        shapeOptions.fill = { color: 'FFFFFF' };
+
+        const objectName = getPatchObjectName(pres, 'Picture');
+        const fillXml = buildPictureFillXml(imageRid, el.shape.picture);
+        shapeOptions.objectName = objectName;
+        addSlideXmlPatch(pres, (xml) => replaceShapeFill(xml, objectName, fillXml));
+    }
     if (el.shape.line) shapeOptions.line = el.shape.line;
     if (el.shape.rectRadius > 0) shapeOptions.rectRadius = el.shape.rectRadius;
     if (el.shape.shadow) shapeOptions.shadow = el.shape.shadow;
 
+    // Shapes that hold their own text (e.g. <pre> code blocks) carry the text box options too
+    if (el.style) {
+        Object.assign(shapeOptions, {
+            fontSize: el.style.fontSize,
+            fontFace: el.style.fontFace,
+            color: el.style.color,
+            align: el.style.align,
+            valign: el.style.valign || 'top',
+            lineSpacing: el.style.lineSpacing,
+            margin: el.style.margin
+        });
+        if (el.style.transparency !== null && el.style.transparency !== undefined) {
+            shapeOptions.transparency = el.style.transparency;
+        }
+        if (el.style.wrap === false) shapeOptions.wrap = false;
+    }
+
     targetSlide.addText(el.text || '', shapeOptions);
 }
 
 /**
  * Add list element to slide
  */
-function addListElement(el, targetSlide) {
+function addListElement(el, targetSlide, pres) {
     const listOptions = {
         x: el.position.x,
         y: el.position.y,
@@ -117,16 +250,64 @@ function addListElement(el, targetSlide) {
         margin: el.style.margin
     };
     if (el.style.margin) listOptions.margin = el.style.margin;
+    if (el.style.transparency !== null && el.style.transparency !== undefined) {
+        listOptions.transparency = el.style.transparency;
+    }
+    applyTextEffects(listOptions, el.style);
+
+    // Marker colors and list-style-image have no PptxGenJS bullet option: patch them in on export
+    const bullets = el.items.filter(run => run.options.bullet).map(run => run.options.bullet);
+    if (bullets.some(bullet => bullet.color || bullet.image)) {
+        const bulletStyles = bullets.map(bullet => ({
+            color: bullet.color,
+            transparency: bullet.transparency,
+            imageRid: bullet.image ? addImageRelationship(targetSlide, bullet.image) : null
+        }));
+        const objectName = getPatchObjectName(pres, 'List');
+        listOptions.objectName = objectName;
+        addSlideXmlPatch(pres, (xml) => replaceBulletStyles(xml, objectName, bulletStyles));
+    }
+
     targetSlide.addText(el.items, listOptions);
 }
 
+/**
+ * Copy text effects (letter spacing, strike, sub/superscript, glow, text shadow) onto addText options
+ * A text box without fill draws its shape shadow on the glyphs, which is how PowerPoint shows text shadows
+ * @param {Object} options - addText options
+ * @param {Object} style - Extracted element style
+ */
+function applyTextEffects(options, style) {
+    ['charSpacing', 'strike', 'superscript', 'subscript', 'glow'].forEach(key => {
+        if (style[key]) options[key] = style[key];
+    });
+    if (style.shadow && !options.fill) options.shadow = style.shadow;
+}
+
+/**
+ * Add table element to slide
+ * Cells already carry their own fill, border, margin and text formatting
+ */
+function addTableElement(el, targetSlide) {
+    const tableOptions = {
+        x: el.position.x,
+        y: el.position.y,
+        w: el.position.w,
+        colW: el.colW,
+        rowH: el.rowH,
+        autoPage: false
+    };
+    targetSlide.addTable(el.rows, tableOptions);
+}
+
 /**
  * Add text element to slide with space-aware width buffering
  * @param {Object} el - The text element
  * @param {Object} targetSlide - PptxGenJS slide
  * @param {Array} allElements - All elements on the slide (for collision detection)
+ * @param {Object} pres - PptxGenJS presentation (for text columns)
  */
-function addTextElement(el, targetSlide, allElements = []) {
+function addTextElement(el, targetSlide, allElements = [], pres = null) {
     // Skip empty text elements (only whitespace)
     const textContent = Array.isArray(el.text)
         ? el.text.map(r => r.text || '').join('')
@@ -235,14 +416,82 @@ function addTextElement(el, targetSlide, allElements = []) {
     if (el.style.margin) textOptions.margin = el.style.margin;
     if (el.style.fill) textOptions.fill = el.style.fill;
     if (el.style.rotate !== undefined) textOptions.rotate = el.style.rotate;
+    if (el.style.wrap === false) textOptions.wrap = false;
     if (el.style.transparency !== null && el.style.transparency !== undefined) {
         textOptions.transparency = el.style.transparency;
     }
+    applyTextEffects(textOptions, el.style);
+
+    // PptxGenJS has no text column option: patch numCol/spcCol in on export
+    if (el.style.columns && pres) {
+        const objectName = getPatchObjectName(pres, 'Columns');
+        textOptions.objectName = objectName;
+        addSlideXmlPatch(pres, (xml) => setBodyColumns(xml, objectName, el.style.columns));
+    }
 
     targetSlide.addText(el.text, textOptions);
 }
 
+/**
+ * Add chart element to slide (rebuilt from a Chart.js instance)
+ */
+function addChartElement(el, targetSlide, pres) {
+    targetSlide.addChart(pres.ChartType[el.chartType], el.data, {
+        x: el.position.x,
+        y: el.position.y,
+        w: el.position.w,
+        h: el.position.h,
+        ...el.options
+    });
+}
+
+/**
+ * Add equation element to slide (Office Math converted from MathML)
+ * PptxGenJS has no equations: the formula is added as plain text and swapped for the equation on export,
+ * the plain text box stays as the fallback for readers without Office Math
+ */
+function addEquationElement(el, targetSlide, pres) {
+    const objectName = getPatchObjectName(pres, 'Equation');
+    targetSlide.addText(el.text, {
+        x: el.position.x,
+        y: el.position.y,
+        w: el.position.w,
+        h: el.position.h,
+        fontSize: el.style.fontSize,
+        fontFace: 'Cambria Math',
+        color: el.style.color,
+        ...(el.style.transparency > 0 && { transparency: el.style.transparency }),
+        align: el.display ? 'center' : 'left',
+        valign: 'middle',
+        margin: 0,
+        wrap: false,
+        objectName
+    });
+
+    const equationXml = buildEquationXml(el.omml, { display: el.display, ...el.style });
+    addSlideXmlPatch(pres, (xml) => replaceWithEquation(xml, objectName, equationXml));
+}
+
+/**
+ * Add speaker notes to slide
+ * @param {Object} slideData - Extracted slide data (notes are paragraphs of text runs)
+ * @param {Object} targetSlide - PptxGenJS slide
+ * @param {Object} pres - PptxGenJS presentation
+ */
+function addNotes(slideData, targetSlide, pres) {
+    if (!slideData.notes || slideData.notes.length === 0) return;
+
+    // PptxGenJS only takes plain text; paragraphs and run formatting are written into the notes XML on export
+    targetSlide.addNotes(slideData.notes.map(runs => runs.map(run => run.text).join('')).join('\n'));
+
+    const bodyXml = buildNotesBodyXml(slideData.notes);
+    addSlideXmlPatch(pres, (xml, fileName) =>
+        fileName === getNotesXmlPath(pres, targetSlide) ? replaceNotesBody(xml, bodyXml) : xml
+    );
+}
+
 module.exports = {
     addBackground,
-    addElements
+    addElements,
+    addNotes
 };
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for the slide renderer, run against the XML PptxGenJS actually writes
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const pptxgen = require('pptxgenjs');
+const { addElements, addNotes } = require('./slide-renderer');
+
+// 1x1 PNG
+const PIXEL_PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+/**
+ * Write the presentation and return one XML file of it
+ * @param {Object} pres - PptxGenJS presentation
+ * @param {string} fileName - Zip path, e.g. ppt/slides/slide1.xml
+ * @returns {Promise<string>} File content
+ */
+async function readPresentationXml(pres, fileName) {
+    const zip = await JSZip.loadAsync(await pres.write({ outputType: 'nodebuffer' }));
+    return zip.file(fileName).async('string');
+}
+
+/**
+ * Write the presentation and return the notes XML of its first slide
+ * @param {Object} pres - PptxGenJS presentation
+ * @returns {Promise<string>} ppt/notesSlides/notesSlide1.xml
+ */
+async function readNotesXml(pres) {
+    return readPresentationXml(pres, 'ppt/notesSlides/notesSlide1.xml');
+}
+
+test('addNotes writes notes paragraphs with their run formatting', async () => {
+    const pres = new pptxgen();
+    const slide = pres.addSlide();
+    addNotes({
+        notes: [
+            [{ text: 'Open with ', options: {} }, { text: 'the demo', options: { bold: true } }],
+            [{ text: 'Then Q&A', options: { italic: true } }]
+        ]
+    }, slide, pres);
+
+    const xml = await readNotesXml(pres);
+    const body = xml.match(/name="Notes Placeholder[\s\S]*?<a:lstStyle\/>([\s\S]*?)<\/p:txBody>/)[1];
+    assert.equal(body,
+        '<a:p><a:r><a:rPr lang="en-US" dirty="0"/><a:t>Open with </a:t></a:r>' +
+        '<a:r><a:rPr lang="en-US" b="1" dirty="0"/><a:t>the demo</a:t></a:r></a:p>' +
+        '<a:p><a:r><a:rPr lang="en-US" i="1" dirty="0"/><a:t>Then Q&amp;A</a:t></a:r></a:p>');
+});
+
+test('addNotes leaves slides without notes alone', () => {
+    const pres = new pptxgen();
+    const slide = pres.addSlide();
+    addNotes({ notes: [] }, slide, pres);
+
+    assert.equal(slide._slideObjects.length, 0);
+    assert.ok(!pres._slideXmlPatches);
+});
+
+test('addElements draws a background-image-only box as one picture-filled shape', async () => {
+    const pres = new pptxgen();
+    const slide = pres.addSlide();
+    addElements({
+        elements: [{
+            type: 'shape',
+            text: '',
+            position: { x: 1, y: 1, w: 2, h: 1 },
+            shape: { fill: null, transparency: null, gradient: null, line: null, geometry: 'rect', rectRadius: 0, shadow: null,
+                picture: { src: PIXEL_PNG, tile: { x: 0, y: 0, scaleX: 1, scaleY: 1 } } }
+        }]
+    }, slide, pres);
+
+    const xml = await readPresentationXml(pres, 'ppt/slides/slide1.xml');
+    assert.equal((xml.match(/<p:sp>/g) || []).length, 1);
+    assert.ok(!xml.includes('<p:pic>'));
+    const spPr = xml.match(/<p:spPr>[\s\S]*?<\/p:spPr>/)[0];
+    assert.match(spPr, /<a:blipFill [\s\S]*<a:tile /);
+    assert.ok(!spPr.includes('<a:solidFill>'));
+});
+
+test('addElements keeps the text transparency and rotation of shapes holding text', async () => {
+    const pres = new pptxgen();
+    const slide = pres.addSlide();
+    addElements({
+        elements: [{
+            type: 'shape',
+            text: [{ text: 'const', options: { color: '569CD6' } }, { text: ' x', options: {} }],
+            position: { x: 1, y: 1, w: 2, h: 1 },
+            shape: { fill: '1E1E1E', transparency: 50, line: null, geometry: 'rect', rectRadius: 0, shadow: null, rotate: 90 },
+            style: { fontSize: 10, fontFace: 'Consolas', color: 'D4D4D4', transparency: 60, align: 'left', valign: 'top', margin: [9, 9, 9, 9], wrap: false }
+        }]
+    }, slide, pres);
+
+    const xml = await readPresentationXml(pres, 'ppt/slides/slide1.xml');
+    assert.match(xml, /<a:xfrm rot="5400000">/);
+    assert.match(xml, /<p:spPr>[\s\S]*<a:srgbClr val="1E1E1E"><a:alpha val="50000"\/>[\s\S]*<\/p:spPr>/);
+    assert.match(xml, /<a:srgbClr val="569CD6"><a:alpha val="40000"\/>/);
+    assert.match(xml, /<a:srgbClr val="D4D4D4"><a:alpha val="40000"\/>/);
+});
@@ -0,0 +1,359 @@
+/**
+ * Slide XML post-processing for HTML to PPTX conversion
+ * Applies DrawingML features PptxGenJS has no API for (e.g. gradient fills)
+ * by rewriting the generated slide XML when the presentation is exported,
+ * and runs export hooks for fix-ups that depend on the finished deck
+ */
+
+const JSZip = require('jszip');
+const { EMU_PER_IN } = require('../utils/constants');
+
+const MATH_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/math';
+const MC_NS = 'http://schemas.openxmlformats.org/markup-compatibility/2006';
+const A14_NS = 'http://schemas.microsoft.com/office/drawing/2010/main';
+const SLIDE_XML_PATH = /^ppt\/(slides\/slide|notesSlides\/notesSlide)\d+\.xml$/;
+
+/**
+ * Wrap pres.exportPresentation once so write() and writeFile() run export hooks and slide XML patches
+ * @param {Object} pres - PptxGenJS presentation
+ */
+function wrapExport(pres) {
+    if (pres._slideXmlPatches) return;
+    pres._slideXmlPatches = [];
+    pres._exportHooks = [];
+
+    const exportPresentation = pres.exportPresentation;
+    pres.exportPresentation = async (props = {}) => {
+        pres._exportHooks.forEach(hook => hook());
+        if (pres._slideXmlPatches.length === 0) return exportPresentation(props);
+
+        const data = await exportPresentation({ ...props, outputType: 'nodebuffer' });
+        const zip = await JSZip.loadAsync(data);
+
+        const slideFiles = Object.keys(zip.files).filter(fileName => SLIDE_XML_PATH.test(fileName));
+        for (const fileName of slideFiles) {
+            let xml = await zip.file(fileName).async('string');
+            for (const slidePatch of pres._slideXmlPatches) {
+                xml = slidePatch(xml, fileName);
+            }
+            zip.file(fileName, xml);
+        }
+
+        // PptxGenJS uses 'STREAM' for a node buffer; no output type means a browser blob, which Node cannot produce
+        const outputType = !props.outputType || props.outputType === 'STREAM' ? 'nodebuffer' : props.outputType;
+        return zip.generateAsync({ type: outputType, compression: props.compression ? 'DEFLATE' : 'STORE' });
+    };
+}
+
+/**
+ * Register a patch that is applied to every slide and notes slide XML file on export
+ * @param {Object} pres - PptxGenJS presentation
+ * @param {Function} patch - (xml, fileName) => patched XML string
+ */
+function addSlideXmlPatch(pres, patch) {
+    wrapExport(pres);
+    pres._slideXmlPatches.push(patch);
+}
+
+/**
+ * Register a callback that runs right before the presentation is exported
+ * (e.g. to fix up slide relationships once every slide of the deck exists)
+ * @param {Object} pres - PptxGenJS presentation
+ * @param {Function} hook - Callback with no arguments
+ */
+function addExportHook(pres, hook) {
+    wrapExport(pres);
+    pres._exportHooks.push(hook);
+}
+
+/**
+ * Get a presentation-wide unique shape name to locate a shape in the slide XML later
+ * @param {Object} pres - PptxGenJS presentation
+ * @param {string} prefix - Readable name prefix (shown in the PowerPoint selection pane)
+ * @returns {string} Unique object name
+ */
+function getPatchObjectName(pres, prefix) {
+    pres._patchObjectCount = (pres._patchObjectCount || 0) + 1;
+    return `${prefix} ${pres._patchObjectCount}`;
+}
+
+/**
+ * Get the zip path of a slide's XML file, resolved at export time
+ * @param {Object} pres - PptxGenJS presentation
+ * @param {Object} slide - PptxGenJS slide
+ * @returns {string} Path such as 'ppt/slides/slide3.xml'
+ */
+function getSlideXmlPath(pres, slide) {
+    return `ppt/slides/slide${pres.slides.indexOf(slide) + 1}.xml`;
+}
+
+/**
+ * Get the zip path of a slide's notes XML file, resolved at export time
+ * @param {Object} pres - PptxGenJS presentation
+ * @param {Object} slide - PptxGenJS slide
+ * @returns {string} Path such as 'ppt/notesSlides/notesSlide3.xml'
+ */
+function getNotesXmlPath(pres, slide) {
+    return `ppt/notesSlides/notesSlide${pres.slides.indexOf(slide) + 1}.xml`;
+}
+
+/**
+ * Escape text for use in XML content
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Build a DrawingML color element with optional transparency
+ * @param {string} color - Hex color without #
+ * @param {number} transparency - Transparency percentage (0-100)
+ * @returns {string} <a:srgbClr> XML
+ */
+function buildColorXml(color, transparency) {
+    if (!(transparency > 0)) return `<a:srgbClr val="${color.toUpperCase()}"/>`;
+    return `<a:srgbClr val="${color.toUpperCase()}"><a:alpha val="${Math.round((100 - transparency) * 1000)}"/></a:srgbClr>`;
+}
+
+/**
+ * Build <a:gradFill> XML from a parsed CSS gradient
+ * @param {Object} gradient - { type: 'linear'|'radial', angle, center: {x, y}, stops: [{ color, transparency, position }] }
+ * @returns {string} DrawingML gradient fill XML
+ */
+function buildGradientFillXml(gradient) {
+    const stopsXml = gradient.stops
+        .map(stop => `<a:gs pos="${Math.round(stop.position * 1000)}">${buildColorXml(stop.color, stop.transparency)}</a:gs>`)
+        .join('');
+
+    let shadeXml;
+    if (gradient.type === 'radial') {
+        // Path gradients radiate from the fillToRect, so a zero-size rect at the CSS center point
+        const { x, y } = gradient.center;
+        const l = Math.round(x * 1000);
+        const t = Math.round(y * 1000);
+        shadeXml = `<a:path path="circle"><a:fillToRect l="${l}" t="${t}" r="${100000 - l}" b="${100000 - t}"/></a:path>`;
+    } else {
+        // CSS 0deg points up and 90deg points right; DrawingML 0 runs left to right, clockwise
+        const ang = (((gradient.angle - 90) % 360) + 360) % 360;
+        shadeXml = `<a:lin ang="${Math.round(ang * 60000)}" scaled="0"/>`;
+    }
+
+    return `<a:gradFill rotWithShape="1"><a:gsLst>${stopsXml}</a:gsLst>${shadeXml}</a:gradFill>`;
+}
+
+/**
+ * Build <a:blipFill> XML for a picture fill, either stretched into a fill rectangle or tiled
+ * @param {number} rId - Relationship id of the image in the slide's rels
+ * @param {Object} picture - { stretch: { srcRect, fillRect } } with { l, t, r, b } insets as fractions
+ *   (negative fillRect insets overflow the shape), or { tile: { x, y, scaleX, scaleY } } with the tile origin
+ *   in inches from the shape corner; optional transparency (0-100)
+ * @returns {string} DrawingML picture fill XML
+ */
+function buildPictureFillXml(rId, picture) {
+    const toPercent = fraction => Math.round(fraction * 100000);
+    const buildInsets = rect => ['l', 't', 'r', 'b']
+        .filter(side => Math.abs(rect[side]) >= 0.00001)
+        .map(side => ` ${side}="${toPercent(rect[side])}"`)
+        .join('');
+
+    let modeXml;
+    if (picture.tile) {
+        // Tiles scale the image's natural size, which PowerPoint reads at 96 DPI unless the file says otherwise
+        const { x, y, scaleX, scaleY } = picture.tile;
+        modeXml = `<a:srcRect/><a:tile tx="${Math.round(x * EMU_PER_IN)}" ty="${Math.round(y * EMU_PER_IN)}" ` +
+            `sx="${toPercent(scaleX)}" sy="${toPercent(scaleY)}" flip="none" algn="tl"/>`;
+    } else {
+        const { srcRect, fillRect } = picture.stretch;
+        modeXml = `<a:srcRect${buildInsets(srcRect)}/><a:stretch><a:fillRect${buildInsets(fillRect)}/></a:stretch>`;
+    }
+
+    const alphaXml = picture.transparency > 0 ? `<a:alphaModFix amt="${Math.round((100 - picture.transparency) * 1000)}"/>` : '';
+    return `<a:blipFill dpi="0" rotWithShape="1"><a:blip r:embed="rId${rId}">${alphaXml}</a:blip>${modeXml}</a:blipFill>`;
+}
+
+/**
+ * Replace the fill of a named shape in slide XML
+ * @param {string} xml - Slide XML
+ * @param {string} objectName - Shape name given to PptxGenJS via `objectName`
+ * @param {string} fillXml - Replacement fill XML
+ * @returns {string} Patched slide XML
+ */
+function replaceShapeFill(xml, objectName, fillXml) {
+    const nameIdx = xml.indexOf(`name="${objectName}"`);
+    if (nameIdx === -1) return xml;
+
+    const spPrStart = xml.indexOf('<p:spPr>', nameIdx);
+    const spPrEnd = xml.indexOf('</p:spPr>', spPrStart);
+    if (spPrStart === -1 || spPrEnd === -1) return xml;
+
+    const spPr = xml.slice(spPrStart, spPrEnd);
+    const patchedSpPr = spPr.replace(/<a:solidFill>[\s\S]*?<\/a:solidFill>/, fillXml);
+    return xml.slice(0, spPrStart) + patchedSpPr + xml.slice(spPrEnd);
+}
+
+/**
+ * Give the bullet paragraphs of a named text box their own bullet color or picture, in paragraph order
+ * @param {string} xml - Slide XML
+ * @param {string} objectName - Shape name given to PptxGenJS via `objectName`
+ * @param {Array<Object>} bullets - One { color, transparency, imageRid } per bullet paragraph (all optional)
+ * @returns {string} Patched slide XML
+ */
+function replaceBulletStyles(xml, objectName, bullets) {
+    const nameIdx = xml.indexOf(`name="${objectName}"`);
+    if (nameIdx === -1) return xml;
+
+    const bodyStart = xml.indexOf('<p:txBody>', nameIdx);
+    const bodyEnd = xml.indexOf('</p:txBody>', bodyStart);
+    if (bodyStart === -1 || bodyEnd === -1) return xml;
+
+    let bulletIdx = 0;
+    // A self-closing <a:pPr/> has no bullet; matched on its own so the lazy match cannot run into the next paragraph
+    const body = xml.slice(bodyStart, bodyEnd).replace(/<a:pPr\b[^>]*\/>|<a:pPr\b[^>]*>[\s\S]*?<\/a:pPr>/g, (pPr) => {
+        if (!/<a:(buChar|buAutoNum)\b/.test(pPr)) return pPr;
+        const bullet = bullets[bulletIdx++];
+        if (!bullet) return pPr;
+
+        let patched = pPr;
+        if (bullet.color) {
+            patched = patched.replace('<a:buSzPct', `<a:buClr>${buildColorXml(bullet.color, bullet.transparency)}</a:buClr><a:buSzPct`);
+        }
+        if (bullet.imageRid) {
+            patched = patched.replace(/(<a:buFont\b[^>]*\/>)?<a:(buChar|buAutoNum)\b[^>]*\/>/, `<a:buBlip><a:blip r:embed="rId${bullet.imageRid}"/></a:buBlip>`);
+        }
+        return patched;
+    });
+    return xml.slice(0, bodyStart) + body + xml.slice(bodyEnd);
+}
+
+/**
+ * Lay out the text of a named text box in columns
+ * @param {string} xml - Slide XML
+ * @param {string} objectName - Shape name given to PptxGenJS via `objectName`
+ * @param {Object} columns - { count, spacing } with spacing in inches
+ * @returns {string} Patched slide XML
+ */
+function setBodyColumns(xml, objectName, columns) {
+    const nameIdx = xml.indexOf(`name="${objectName}"`);
+    if (nameIdx === -1) return xml;
+
+    const bodyPrStart = xml.indexOf('<a:bodyPr', nameIdx);
+    if (bodyPrStart === -1) return xml;
+
+    const attrsXml = ` numCol="${columns.count}" spcCol="${Math.round(columns.spacing * EMU_PER_IN)}"`;
+    const insertAt = bodyPrStart + '<a:bodyPr'.length;
+    return xml.slice(0, insertAt) + attrsXml + xml.slice(insertAt);
+}
+
+/**
+ * Build the <a14:m> equation XML for a text paragraph from OMML math content
+ * @param {string} omml - Content of <m:oMath> (runs without DrawingML properties)
+ * @param {Object} options - { display, fontSize, color, transparency }
+ * @returns {string} <a14:m> XML
+ */
+function buildEquationXml(omml, options) {
+    const fillXml = options.color ? `<a:solidFill>${buildColorXml(options.color, options.transparency)}</a:solidFill>` : '';
+    const sizeXml = options.fontSize ? ` sz="${Math.round(options.fontSize * 100)}"` : '';
+    const runPropsXml = `<a:rPr lang="en-US"${sizeXml} dirty="0">${fillXml}` +
+        '<a:latin typeface="Cambria Math" panose="02040503050406030204" pitchFamily="18" charset="0"/></a:rPr>';
+    // DrawingML run properties follow the math run properties inside each <m:r>
+    const mathXml = omml.replace(/<m:r>(<m:rPr>[\s\S]*?<\/m:rPr>)?/g, (match) => match + runPropsXml);
+
+    const oMath = `<m:oMath>${mathXml}</m:oMath>`;
+    const content = options.display
+        ? `<m:oMathPara><m:oMathParaPr><m:jc m:val="centerGroup"/></m:oMathParaPr>${oMath}</m:oMathPara>`
+        : oMath;
+    return `<a14:m xmlns:m="${MATH_NS}">${content}</a14:m>`;
+}
+
+/**
+ * Turn a named text box into an equation: PowerPoint 2010+ reads the Office Math copy,
+ * older readers the original text box with the formula as plain text
+ * @param {string} xml - Slide XML
+ * @param {string} objectName - Shape name given to PptxGenJS via `objectName`
+ * @param {string} equationXml - <a14:m> XML from buildEquationXml
+ * @returns {string} Patched slide XML
+ */
+function replaceWithEquation(xml, objectName, equationXml) {
+    const nameIdx = xml.indexOf(`name="${objectName}"`);
+    if (nameIdx === -1) return xml;
+
+    const spStart = xml.lastIndexOf('<p:sp>', nameIdx);
+    const spEnd = xml.indexOf('</p:sp>', nameIdx);
+    if (spStart === -1 || spEnd === -1) return xml;
+
+    const shapeXml = xml.slice(spStart, spEnd + '</p:sp>'.length);
+    const paragraphStart = shapeXml.indexOf('<a:p>');
+    const bodyEnd = shapeXml.lastIndexOf('</p:txBody>');
+    if (paragraphStart === -1 || bodyEnd === -1) return xml;
+
+    // One paragraph holding the equation, keeping the alignment of the first text paragraph
+    const pPrMatch = shapeXml.slice(paragraphStart + '<a:p>'.length).match(/^(<a:pPr\b[^>]*\/>|<a:pPr\b[^>]*>[\s\S]*?<\/a:pPr>)?/);
+    const equationShapeXml = shapeXml.slice(0, paragraphStart) +
+        `<a:p>${pPrMatch[0]}${equationXml}</a:p>` + shapeXml.slice(bodyEnd);
+    const alternateXml = `<mc:AlternateContent xmlns:mc="${MC_NS}">` +
+        `<mc:Choice xmlns:a14="${A14_NS}" Requires="a14">${equationShapeXml}</mc:Choice>` +
+        `<mc:Fallback>${shapeXml}</mc:Fallback></mc:AlternateContent>`;
+    return xml.slice(0, spStart) + alternateXml + xml.slice(spEnd + '</p:sp>'.length);
+}
+
+/**
+ * Replace the slide background fill in slide XML
+ * @param {string} xml - Slide XML
+ * @param {string} fillXml - Replacement fill XML
+ * @returns {string} Patched slide XML
+ */
+function replaceSlideBackground(xml, fillXml) {
+    return xml.replace(/<p:bg>[\s\S]*?<\/p:bg>/, `<p:bg><p:bgPr>${fillXml}<a:effectLst/></p:bgPr></p:bg>`);
+}
+
+/**
+ * Build notes paragraphs XML from paragraphs of text runs
+ * @param {Array<Array<Object>>} paragraphs - Paragraphs of { text, options: { bold, italic, underline } } runs
+ * @returns {string} <a:p> elements
+ */
+function buildNotesBodyXml(paragraphs) {
+    return paragraphs.map(runs => {
+        const runsXml = runs.map(({ text, options }) => {
+            const attrs = `${options.bold ? ' b="1"' : ''}${options.italic ? ' i="1"' : ''}${options.underline ? ' u="sng"' : ''}`;
+            return `<a:r><a:rPr lang="en-US"${attrs} dirty="0"/><a:t>${escapeXml(text)}</a:t></a:r>`;
+        }).join('');
+        return `<a:p>${runsXml}</a:p>`;
+    }).join('');
+}
+
+/**
+ * Replace the paragraphs of the notes placeholder in notes slide XML
+ * @param {string} xml - Notes slide XML
+ * @param {string} paragraphsXml - Replacement <a:p> elements
+ * @returns {string} Patched notes slide XML
+ */
+function replaceNotesBody(xml, paragraphsXml) {
+    const nameIdx = xml.indexOf('name="Notes Placeholder');
+    if (nameIdx === -1) return xml;
+
+    const bodyStart = xml.indexOf('<a:lstStyle/>', nameIdx);
+    const bodyEnd = xml.indexOf('</p:txBody>', bodyStart);
+    if (bodyStart === -1 || bodyEnd === -1) return xml;
+
+    return xml.slice(0, bodyStart + '<a:lstStyle/>'.length) + paragraphsXml + xml.slice(bodyEnd);
+}
+
+module.exports = {
+    addSlideXmlPatch,
+    addExportHook,
+    getPatchObjectName,
+    getSlideXmlPath,
+    getNotesXmlPath,
+    buildGradientFillXml,
+    buildPictureFillXml,
+    buildNotesBodyXml,
+    buildEquationXml,
+    replaceShapeFill,
+    replaceBulletStyles,
+    setBodyColumns,
+    replaceWithEquation,
+    replaceSlideBackground,
+    replaceNotesBody
+};
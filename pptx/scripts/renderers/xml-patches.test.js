@@ -0,0 +1,234 @@
+/**
+ * Unit tests for the slide XML patches, run against the XML PptxGenJS actually writes
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const pptxgen = require('pptxgenjs');
+const {
+    addSlideXmlPatch,
+    buildGradientFillXml,
+    replaceShapeFill,
+    replaceSlideBackground,
+    buildNotesBodyXml,
+    replaceNotesBody,
+    buildPictureFillXml,
+    replaceBulletStyles,
+    setBodyColumns,
+    buildEquationXml,
+    replaceWithEquation
+} = require('./xml-patches');
+
+/**
+ * Build a one-slide presentation and return its exported slide XML
+ * @param {Function} build - (slide, pres) => void, adds the objects under test
+ * @returns {Promise<string>} ppt/slides/slide1.xml
+ */
+async function renderSlideXml(build) {
+    const pres = new pptxgen();
+    pres.layout = 'LAYOUT_16x9';
+    const slide = pres.addSlide();
+    build(slide, pres);
+    const data = await pres.write({ outputType: 'nodebuffer' });
+    const zip = await JSZip.loadAsync(data);
+    return zip.file('ppt/slides/slide1.xml').async('string');
+}
+
+/**
+ * Get the XML of the shape with the given name
+ * @param {string} xml - Slide XML
+ * @param {string} objectName - Shape name
+ * @returns {string} <p:sp> XML
+ */
+function getShapeXml(xml, objectName) {
+    const nameIdx = xml.indexOf(`name="${objectName}"`);
+    return xml.slice(xml.lastIndexOf('<p:sp>', nameIdx), xml.indexOf('</p:sp>', nameIdx) + '</p:sp>'.length);
+}
+
+const linearGradient = {
+    type: 'linear',
+    angle: 180,
+    stops: [
+        { color: 'ff0000', transparency: 0, position: 0 },
+        { color: '0000ff', transparency: 50, position: 100 }
+    ]
+};
+
+test('buildGradientFillXml converts the CSS angle and stop transparency', () => {
+    const fillXml = buildGradientFillXml(linearGradient);
+    assert.match(fillXml, /<a:gs pos="0"><a:srgbClr val="FF0000"\/><\/a:gs>/);
+    assert.match(fillXml, /<a:gs pos="100000"><a:srgbClr val="0000FF"><a:alpha val="50000"\/><\/a:srgbClr><\/a:gs>/);
+    // CSS 180deg (top to bottom) is DrawingML 90deg
+    assert.match(fillXml, /<a:lin ang="5400000" scaled="0"\/>/);
+});
+
+test('buildGradientFillXml places radial gradients at the CSS center', () => {
+    const fillXml = buildGradientFillXml({ ...linearGradient, type: 'radial', center: { x: 25, y: 50 } });
+    assert.match(fillXml, /<a:path path="circle"><a:fillToRect l="25000" t="50000" r="75000" b="50000"\/><\/a:path>/);
+});
+
+test('replaceShapeFill swaps the solid fill of the named shape only', async () => {
+    const xml = await renderSlideXml((slide, pres) => {
+        slide.addShape(pres.shapes.RECTANGLE, { x: 1, y: 1, w: 2, h: 1, fill: { color: '00FF00' }, objectName: 'Other 1' });
+        slide.addShape(pres.shapes.RECTANGLE, { x: 1, y: 2, w: 2, h: 1, fill: { color: 'FF0000' }, objectName: 'Gradient 1' });
+    });
+    const fillXml = buildGradientFillXml(linearGradient);
+    const patched = replaceShapeFill(xml, 'Gradient 1', fillXml);
+
+    const shapeXml = getShapeXml(patched, 'Gradient 1');
+    assert.ok(shapeXml.includes(fillXml));
+    assert.ok(!shapeXml.includes('<a:solidFill>'));
+    assert.match(getShapeXml(patched, 'Other 1'), /<a:solidFill><a:srgbClr val="00FF00"\/><\/a:solidFill>/);
+});
+
+test('replaceShapeFill leaves the XML alone for an unknown shape', async () => {
+    const xml = await renderSlideXml((slide, pres) => {
+        slide.addShape(pres.shapes.RECTANGLE, { x: 1, y: 1, w: 2, h: 1, fill: { color: 'FF0000' } });
+    });
+    assert.equal(replaceShapeFill(xml, 'Gradient 9', '<a:gradFill/>'), xml);
+});
+
+test('replaceSlideBackground replaces the background fill', async () => {
+    const xml = await renderSlideXml((slide) => {
+        slide.background = { color: 'FFFFFF' };
+    });
+    const fillXml = buildGradientFillXml(linearGradient);
+    const patched = replaceSlideBackground(xml, fillXml);
+    assert.ok(patched.includes(`<p:bg><p:bgPr>${fillXml}<a:effectLst/></p:bgPr></p:bg>`));
+    assert.equal((patched.match(/<p:bg>/g) || []).length, 1);
+});
+
+test('buildNotesBodyXml writes one paragraph per line with formatted, escaped runs', () => {
+    const bodyXml = buildNotesBodyXml([
+        [{ text: 'Say ', options: {} }, { text: 'this', options: { bold: true, underline: true } }],
+        [{ text: 'Q&A <5 min>', options: { italic: true } }]
+    ]);
+    assert.equal(bodyXml,
+        '<a:p><a:r><a:rPr lang="en-US" dirty="0"/><a:t>Say </a:t></a:r>' +
+        '<a:r><a:rPr lang="en-US" b="1" u="sng" dirty="0"/><a:t>this</a:t></a:r></a:p>' +
+        '<a:p><a:r><a:rPr lang="en-US" i="1" dirty="0"/><a:t>Q&amp;A &lt;5 min&gt;</a:t></a:r></a:p>');
+});
+
+test('replaceNotesBody replaces the paragraphs of the notes placeholder only', async () => {
+    const pres = new pptxgen();
+    pres.addSlide().addNotes('Plain notes');
+    const zip = await JSZip.loadAsync(await pres.write({ outputType: 'nodebuffer' }));
+    const xml = await zip.file('ppt/notesSlides/notesSlide1.xml').async('string');
+    const bodyXml = '<a:p><a:r><a:rPr lang="en-US" b="1" dirty="0"/><a:t>Formatted</a:t></a:r></a:p>';
+    const patched = replaceNotesBody(xml, bodyXml);
+
+    const placeholder = getShapeXml(patched, 'Notes Placeholder 2');
+    assert.ok(placeholder.includes(`<a:lstStyle/>${bodyXml}</p:txBody>`));
+    assert.ok(!patched.includes('Plain notes'));
+    // The slide image placeholder is left alone
+    assert.equal(getShapeXml(patched, 'Slide Image Placeholder 1'), getShapeXml(xml, 'Slide Image Placeholder 1'));
+});
+
+test('buildPictureFillXml writes stretch insets and tiles', () => {
+    const stretched = buildPictureFillXml(3, {
+        stretch: { srcRect: { l: 0.1, t: 0, r: 0.1, b: 0 }, fillRect: { l: 0, t: -0.25, r: 0, b: -0.25 } },
+        transparency: 40
+    });
+    assert.equal(stretched, '<a:blipFill dpi="0" rotWithShape="1"><a:blip r:embed="rId3"><a:alphaModFix amt="60000"/></a:blip>' +
+        '<a:srcRect l="10000" r="10000"/><a:stretch><a:fillRect t="-25000" b="-25000"/></a:stretch></a:blipFill>');
+
+    const tiled = buildPictureFillXml(4, { tile: { x: 0.5, y: 0, scaleX: 0.5, scaleY: 0.5 } });
+    assert.match(tiled, /<a:tile tx="457200" ty="0" sx="50000" sy="50000" flip="none" algn="tl"\/>/);
+});
+
+test('replaceShapeFill accepts a picture fill', async () => {
+    const xml = await renderSlideXml((slide, pres) => {
+        slide.addShape(pres.shapes.RECTANGLE, { x: 1, y: 1, w: 2, h: 1, fill: { color: 'FF0000' }, objectName: 'Picture 1' });
+    });
+    const fillXml = buildPictureFillXml(2, { tile: { x: 0, y: 0, scaleX: 1, scaleY: 1 } });
+    const shapeXml = getShapeXml(replaceShapeFill(xml, 'Picture 1', fillXml), 'Picture 1');
+    assert.match(shapeXml, /<p:spPr>[\s\S]*<a:blipFill [\s\S]*<\/a:blipFill>[\s\S]*<\/p:spPr>/);
+});
+
+test('replaceBulletStyles colors bullets and swaps in pictures in paragraph order', async () => {
+    const xml = await renderSlideXml((slide) => {
+        slide.addText([
+            { text: 'One', options: { bullet: true, breakLine: true } },
+            { text: 'Plain', options: { breakLine: true } },
+            { text: 'Two', options: { bullet: { type: 'number' } } }
+        ], { x: 1, y: 1, w: 4, h: 2, objectName: 'List 1' });
+    });
+    const patched = replaceBulletStyles(xml, 'List 1', [
+        { color: '336699', transparency: 20 },
+        { imageRid: 5 }
+    ]);
+
+    const paragraphs = getShapeXml(patched, 'List 1').match(/<a:p>[\s\S]*?<\/a:p>/g);
+    assert.equal(paragraphs.length, 3);
+    assert.match(paragraphs[0], /<a:buClr><a:srgbClr val="336699"><a:alpha val="80000"\/><\/a:srgbClr><\/a:buClr><a:buSzPct/);
+    assert.ok(!paragraphs[1].includes('<a:buClr>'));
+    assert.match(paragraphs[2], /<a:buBlip><a:blip r:embed="rId5"\/><\/a:buBlip>/);
+    assert.ok(!/<a:(buAutoNum|buFont)\b/.test(paragraphs[2]));
+});
+
+test('replaceBulletStyles does not read past a self-closing paragraph property', async () => {
+    const xml = await renderSlideXml((slide) => {
+        slide.addText([
+            { text: 'Plain', options: { breakLine: true } },
+            { text: 'One', options: { bullet: true } }
+        ], { x: 1, y: 1, w: 4, h: 2, objectName: 'List 1' });
+    });
+    // A paragraph without properties of its own, as PowerPoint writes it
+    const plainXml = xml.replace(/<a:pPr\b[^>]*>[\s\S]*?<\/a:pPr>(<a:r>(?:(?!<\/a:r>)[\s\S])*<a:t>Plain<)/, '<a:pPr algn="l"/>$1');
+    assert.ok(plainXml.includes('<a:pPr algn="l"/>'));
+    const patched = replaceBulletStyles(plainXml, 'List 1', [{ color: '336699' }]);
+
+    const paragraphs = getShapeXml(patched, 'List 1').match(/<a:p>[\s\S]*?<\/a:p>/g);
+    assert.ok(!paragraphs[0].includes('<a:buClr>'));
+    assert.match(paragraphs[1], /<a:buClr><a:srgbClr val="336699"\/><\/a:buClr><a:buSzPct/);
+});
+
+test('setBodyColumns sets the column count and spacing of the named text box', async () => {
+    const xml = await renderSlideXml((slide) => {
+        slide.addText('Before', { x: 1, y: 1, w: 4, h: 1 });
+        slide.addText('Flowing text', { x: 1, y: 2, w: 4, h: 1, objectName: 'Columns 1' });
+    });
+    const patched = setBodyColumns(xml, 'Columns 1', { count: 3, spacing: 0.25 });
+
+    assert.match(getShapeXml(patched, 'Columns 1'), /<a:bodyPr numCol="3" spcCol="228600" /);
+    assert.equal((patched.match(/numCol=/g) || []).length, 1);
+});
+
+test('buildEquationXml adds DrawingML run properties to every math run', () => {
+    const omml = '<m:r><m:t>x</m:t></m:r><m:r><m:rPr><m:sty m:val="p"/></m:rPr><m:t>=</m:t></m:r>';
+    const equationXml = buildEquationXml(omml, { display: true, fontSize: 20, color: '000080', transparency: 0 });
+
+    assert.ok(equationXml.startsWith('<a14:m xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math"><m:oMathPara>'));
+    assert.match(equationXml, /<m:jc m:val="centerGroup"\/>/);
+    assert.equal((equationXml.match(/<a:rPr lang="en-US" sz="2000" dirty="0"><a:solidFill><a:srgbClr val="000080"\/>/g) || []).length, 2);
+    assert.ok(equationXml.includes('<m:rPr><m:sty m:val="p"/></m:rPr><a:rPr'));
+    assert.ok(!buildEquationXml(omml, { display: false }).includes('<m:oMathPara>'));
+});
+
+test('replaceWithEquation keeps the text box as the fallback', async () => {
+    const xml = await renderSlideXml((slide) => {
+        slide.addText('x = 1', { x: 1, y: 1, w: 2, h: 1, align: 'center', objectName: 'Equation 1' });
+    });
+    const equationXml = buildEquationXml('<m:r><m:t>x</m:t></m:r>', { display: false });
+    const originalShape = getShapeXml(xml, 'Equation 1');
+    const patched = replaceWithEquation(xml, 'Equation 1', equationXml);
+
+    const choice = patched.match(/<mc:Choice [^>]*Requires="a14">([\s\S]*?)<\/mc:Choice>/)[1];
+    assert.match(choice, /<a:p><a:pPr algn="ctr"[^>]*>[\s\S]*?<\/a:pPr><a14:m /);
+    assert.ok(!choice.includes('<a:t>x = 1</a:t>'));
+    assert.ok(patched.includes(`<mc:Fallback>${originalShape}</mc:Fallback>`));
+});
+
+test('addSlideXmlPatch applies patches when the presentation is written', async () => {
+    const pres = new pptxgen();
+    pres.layout = 'LAYOUT_16x9';
+    pres.addSlide().addShape(pres.shapes.RECTANGLE, { x: 1, y: 1, w: 2, h: 1, fill: { color: 'FF0000' }, objectName: 'Gradient 1' });
+    const fillXml = buildGradientFillXml(linearGradient);
+    addSlideXmlPatch(pres, (xml) => replaceShapeFill(xml, 'Gradient 1', fillXml));
+
+    const zip = await JSZip.loadAsync(await pres.write({ outputType: 'nodebuffer' }));
+    const xml = await zip.file('ppt/slides/slide1.xml').async('string');
+    assert.ok(getShapeXml(xml, 'Gradient 1').includes(fillXml));
+});
@@ -0,0 +1,112 @@
+/**
+ * Icon font utilities for HTML to PPTX conversion
+ * Resolves icon-font glyphs (Font Awesome, Material Icons, etc.) from the font files
+ * the page loaded and turns them into vector SVG images
+ */
+
+const fontkit = require('fontkit');
+const sharp = require('sharp');
+const { pxToInch, rgbToHex, extractAlpha } = require('./converters');
+
+// PNG fallback resolution for PowerPoint versions without SVG support
+const PREVIEW_SCALE = 3;
+
+/**
+ * Start collecting the font files a page loads; call before navigating
+ * @param {Object} page - Playwright page
+ * @returns {Function} Async function resolving to the parsed fontkit fonts
+ */
+function collectPageFonts(page) {
+    const pending = [];
+    page.on('response', (response) => {
+        if (response.request().resourceType() !== 'font') return;
+        pending.push(
+            response.body()
+                .then(buffer => {
+                    const font = fontkit.create(buffer);
+                    return font.fonts ? font.fonts : [font]; // font collections
+                })
+                .catch(() => [])
+        );
+    });
+    return async () => (await Promise.all(pending)).flat();
+}
+
+/**
+ * Normalize a font family name for comparison ("Font Awesome 6 Free" -> "fontawesome6free")
+ * @param {string} name - Family name
+ * @returns {string} Normalized name
+ */
+function normalizeFamily(name) {
+    return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find the loaded font that draws a glyph: first CSS family with a matching font, closest weight
+ * @param {Array} fonts - fontkit fonts
+ * @param {Object} glyph - { text, fontFamily, fontWeight }
+ * @returns {Object|null} fontkit font
+ */
+function findGlyphFont(fonts, glyph) {
+    const families = glyph.fontFamily.split(',').map(normalizeFamily).filter(Boolean);
+    for (const family of families) {
+        const candidates = fonts.filter(font => {
+            const names = [font.familyName, font.fullName].map(normalizeFamily);
+            return names.some(name => name && (name === family || name.startsWith(family)));
+        });
+        if (candidates.length === 0) continue;
+
+        const weightOf = (font) => (font['OS/2'] && font['OS/2'].usWeightClass) || 400;
+        candidates.sort((a, b) => Math.abs(weightOf(a) - glyph.fontWeight) - Math.abs(weightOf(b) - glyph.fontWeight));
+        return candidates.find(font => font.layout(glyph.text).glyphs.every(g => g.id !== 0)) || null;
+    }
+    return null;
+}
+
+/**
+ * Render an icon-font glyph as an SVG image element
+ * @param {Array} fonts - fontkit fonts loaded by the page
+ * @param {Object} glyph - { text, fontFamily, fontWeight, fontSize, color, opacity } read from the icon element
+ * @returns {Promise<Object|null>} { data, preview, w, h } (data URLs, size in inches) or null if unresolved
+ */
+async function renderIconGlyph(fonts, glyph) {
+    const font = findGlyphFont(fonts, glyph);
+    if (!font) return null;
+
+    // layout() applies ligatures, so Material Icons names ("home") resolve like codepoints do
+    const run = font.layout(glyph.text);
+    let advance = 0;
+    const pathData = run.glyphs.map((g, idx) => {
+        const position = run.positions[idx];
+        const d = g.path.translate(advance + position.xOffset, position.yOffset).toSVG();
+        advance += position.xAdvance;
+        return d;
+    }).join(' ');
+    if (!pathData.trim() || advance <= 0) return null;
+
+    // Glyph outlines are y-up; the viewBox spans the font's ascent to descent, like the CSS line box at line-height 1
+    const emHeight = font.ascent - font.descent;
+    const widthPx = (advance / font.unitsPerEm) * glyph.fontSize;
+    const heightPx = (emHeight / font.unitsPerEm) * glyph.fontSize;
+    // Color alpha and the icon's CSS opacity both end up in the fill opacity
+    const alpha = (1 - (extractAlpha(glyph.color) || 0) / 100) * (glyph.opacity === undefined ? 1 : glyph.opacity);
+    const opacity = alpha < 1 ? ` fill-opacity="${Math.round(alpha * 100) / 100}"` : '';
+
+    const svgFor = (scale) =>
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${widthPx * scale}" height="${heightPx * scale}" ` +
+        `viewBox="0 ${-font.ascent} ${advance} ${emHeight}">` +
+        `<path transform="scale(1,-1)" fill="#${rgbToHex(glyph.color)}"${opacity} d="${pathData}"/></svg>`;
+
+    const preview = await sharp(Buffer.from(svgFor(PREVIEW_SCALE))).png().toBuffer();
+    return {
+        data: `image/svg+xml;base64,${Buffer.from(svgFor(1)).toString('base64')}`,
+        preview: `image/png;base64,${preview.toString('base64')}`,
+        w: pxToInch(widthPx),
+        h: pxToInch(heightPx)
+    };
+}
+
+module.exports = {
+    collectPageFonts,
+    renderIconGlyph
+};
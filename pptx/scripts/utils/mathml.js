@@ -0,0 +1,255 @@
+/**
+ * MathML utilities for HTML to PPTX conversion
+ * Converts MathML (<math>, also the hidden copy in KaTeX output) into Office Math (OMML)
+ * for native, editable PowerPoint equations
+ *
+ * The browser hands formulas over as plain trees: { name, attributes, text, children },
+ * where name is the element's local name and text its textContent
+ */
+
+// mathvariant values as OMML run properties
+const MATH_VARIANT_STYLES = {
+    normal: '<m:sty m:val="p"/>',
+    bold: '<m:sty m:val="b"/>',
+    italic: '<m:sty m:val="i"/>',
+    'bold-italic': '<m:sty m:val="bi"/>',
+    'double-struck': '<m:scr m:val="double-struck"/><m:sty m:val="p"/>',
+    fraktur: '<m:scr m:val="fraktur"/><m:sty m:val="p"/>',
+    script: '<m:scr m:val="script"/><m:sty m:val="p"/>',
+    'sans-serif': '<m:scr m:val="sans-serif"/><m:sty m:val="p"/>',
+    monospace: '<m:scr m:val="monospace"/><m:sty m:val="p"/>'
+};
+
+// Spacing accent characters MathML uses, as the combining marks OMML expects
+const MATH_ACCENT_CHARS = {
+    '^': '\u0302', 'ˆ': '\u0302', '~': '\u0303', '˜': '\u0303', '→': '\u20D7', '˙': '\u0307', '¨': '\u0308',
+    'ˇ': '\u030C', '´': '\u0301', '`': '\u0300', '˘': '\u0306', '˚': '\u030A'
+};
+
+const MATH_BAR_CHARS = ['¯', '‾', '_', '\u0332'];
+
+// Large operators that become n-ary objects (sums, products, integrals, big unions, ...)
+const NARY_OPERATORS = ['∑', '∏', '∐', '∫', '∬', '∭', '∮', '∯', '∰', '⋃', '⋂', '⋁', '⋀', '⨀', '⨁', '⨂', '⨄', '⨆'];
+
+// Operators that end the operand of a large operator (relations and separators)
+const NARY_OPERAND_END = ['=', '≠', '<', '>', '≤', '≥', '≈', '≡', '∼', '≅', '∝', '→', '⇒', '⇔', ',', ';'];
+
+/**
+ * Escape text for use in XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Build an OMML run
+ * @param {string} text - Run text
+ * @param {string} style - <m:rPr> content
+ * @returns {string} <m:r> XML
+ */
+function mathRun(text, style = '') {
+    return `<m:r>${style ? `<m:rPr>${style}</m:rPr>` : ''}<m:t xml:space="preserve">${escapeXml(text)}</m:t></m:r>`;
+}
+
+/**
+ * Join converted parts, null if any part has no OMML equivalent
+ * @param {Array<string|null>} parts - Converted parts
+ * @returns {string|null} Joined XML
+ */
+function joinParts(parts) {
+    return parts.includes(null) ? null : parts.join('');
+}
+
+/**
+ * Build an OMML object with one child element per argument, e.g. build('sSup', ['e', 'sup'], [base, script])
+ * @param {string} name - Object name without the m: prefix
+ * @param {Array<string>} argNames - Argument element names
+ * @param {Array<string|null>} parts - Argument contents
+ * @param {string} props - Properties element XML
+ * @returns {string|null} Object XML, null if an argument is missing or has no equivalent
+ */
+function build(name, argNames, parts, props = '') {
+    if (parts.length !== argNames.length || parts.includes(null)) return null;
+    return `<m:${name}>${props}${argNames.map((arg, i) => `<m:${arg}>${parts[i]}</m:${arg}>`).join('')}</m:${name}>`;
+}
+
+/**
+ * Text of an <mo> node
+ * @param {Object} node - MathML tree node
+ * @returns {string|null} Operator text, null for other nodes
+ */
+function operatorText(node) {
+    return node && node.name === 'mo' ? node.text.trim() : null;
+}
+
+/**
+ * Large operator character of a node: a bare <mo>∑</mo> or the base of its scripts or limits
+ * @param {Object} node - MathML tree node
+ * @returns {string|null} Operator character
+ */
+function getNaryOperator(node) {
+    const scripted = ['msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover'];
+    const base = scripted.includes(node.name) ? node.children[0] : node;
+    const text = operatorText(base);
+    return NARY_OPERATORS.includes(text) ? text : null;
+}
+
+/**
+ * Convert a MathML tree into Office Math
+ * @param {Object} math - <math> element as { name, attributes, text, children }
+ * @param {Object} options - { display }: display formulas put the limits of large operators above and below
+ * @returns {string|null} Content of <m:oMath>, or null for constructs without an OMML equivalent
+ *   (mmultiscripts, most menclose notations, labeled rows, ...) so the caller can rasterize the formula instead
+ */
+function mathmlToOmml(math, options = {}) {
+    const { display = false } = options;
+
+    // A large operator with its limits as an n-ary object; operand is the OMML of what it applies to.
+    // Limits written under/over stay there in display formulas, inline ones move to script position
+    // unless movablelimits="false" (the MathML rule)
+    const convertNary = (node, chr, operand) => {
+        const children = node.children;
+        let lower = '';
+        let upper = '';
+        let limitsUnder = false;
+        if (['msub', 'msubsup', 'munder', 'munderover'].includes(node.name)) lower = convert(children[1]);
+        if (node.name === 'msup' || node.name === 'mover') upper = convert(children[1]);
+        if (node.name === 'msubsup' || node.name === 'munderover') upper = convert(children[2]);
+        if (['munder', 'mover', 'munderover'].includes(node.name)) {
+            limitsUnder = display || children[0].attributes.movablelimits === 'false';
+        }
+        if (lower === null || upper === null || operand === null) return null;
+
+        const props = `<m:chr m:val="${escapeXml(chr)}"/><m:limLoc m:val="${limitsUnder ? 'undOvr' : 'subSup'}"/>` +
+            (lower ? '' : '<m:subHide m:val="1"/>') + (upper ? '' : '<m:supHide m:val="1"/>');
+        return build('nary', ['sub', 'sup', 'e'], [lower, upper, operand], `<m:naryPr>${props}</m:naryPr>`);
+    };
+
+    // An mrow wrapped in fence operators is a delimiter pair that grows with its content.
+    // A large operator takes the rest of the row up to the next relation or separator as its operand
+    const convertRow = (children) => {
+        const first = children[0];
+        const last = children[children.length - 1];
+        const isFence = (node) => node && node.name === 'mo' && node.attributes.fence === 'true';
+        if (children.length >= 2 && isFence(first) && isFence(last)) {
+            const inner = convertRow(children.slice(1, -1));
+            if (inner === null) return null;
+            const props = `<m:dPr><m:begChr m:val="${escapeXml(operatorText(first))}"/><m:endChr m:val="${escapeXml(operatorText(last))}"/></m:dPr>`;
+            return `<m:d>${props}<m:e>${inner}</m:e></m:d>`;
+        }
+
+        const parts = [];
+        for (let i = 0; i < children.length; i++) {
+            const chr = getNaryOperator(children[i]);
+            if (!chr) {
+                parts.push(convert(children[i]));
+                continue;
+            }
+            let end = i + 1;
+            while (end < children.length && !NARY_OPERAND_END.includes(operatorText(children[end]))) end++;
+            parts.push(convertNary(children[i], chr, convertRow(children.slice(i + 1, end))));
+            i = end - 1;
+        }
+        return joinParts(parts);
+    };
+
+    const convert = (node) => {
+        const children = node.children;
+        const text = node.text.trim();
+        const attributes = node.attributes;
+        switch (node.name) {
+            case 'math':
+            case 'mrow':
+            case 'mstyle':
+            case 'mpadded':
+                return convertRow(children);
+            case 'semantics':
+            case 'maction':
+                return children[0] ? convert(children[0]) : '';
+            case 'mi': {
+                // Multi-letter identifiers (sin, log) are upright, single letters italic
+                const variant = attributes.mathvariant || (Array.from(text).length > 1 ? 'normal' : null);
+                return mathRun(text, MATH_VARIANT_STYLES[variant] || '');
+            }
+            case 'mn':
+                return mathRun(text, MATH_VARIANT_STYLES[attributes.mathvariant] || '');
+            case 'mo':
+                return mathRun(text, '<m:sty m:val="p"/>');
+            case 'mtext':
+            case 'ms':
+                return mathRun(node.text.replace(/\s+/g, ' '), '<m:sty m:val="p"/>');
+            case 'mspace':
+                return parseFloat(attributes.width) > 0 ? mathRun(' ') : '';
+            case 'mphantom':
+                return build('phant', ['e'], [convertRow(children)], '<m:phantPr><m:show m:val="0"/></m:phantPr>');
+            case 'menclose':
+                if (!/^\s*(box|roundedbox)\s*$/.test(attributes.notation || '')) return null;
+                return build('borderBox', ['e'], [convertRow(children)]);
+            case 'mfrac': {
+                const noBar = parseFloat(attributes.linethickness) === 0;
+                return build('f', ['num', 'den'], children.map(convert), noBar ? '<m:fPr><m:type m:val="noBar"/></m:fPr>' : '');
+            }
+            case 'msqrt':
+                return build('rad', ['deg', 'e'], ['', convertRow(children)], '<m:radPr><m:degHide m:val="1"/></m:radPr>');
+            case 'mroot':
+                if (children.length !== 2) return null;
+                return build('rad', ['deg', 'e'], [convert(children[1]), convert(children[0])]);
+            case 'msub':
+                return build('sSub', ['e', 'sub'], children.map(convert));
+            case 'msup':
+                return build('sSup', ['e', 'sup'], children.map(convert));
+            case 'msubsup':
+                return build('sSubSup', ['e', 'sub', 'sup'], children.map(convert));
+            case 'mover':
+            case 'munder': {
+                if (children.length !== 2) return null;
+                const isOver = node.name === 'mover';
+                const mark = operatorText(children[1]);
+                const isAccent = attributes[isOver ? 'accent' : 'accentunder'] === 'true';
+                if (isAccent && MATH_BAR_CHARS.includes(mark)) {
+                    return build('bar', ['e'], [convert(children[0])], `<m:barPr><m:pos m:val="${isOver ? 'top' : 'bot'}"/></m:barPr>`);
+                }
+                if (isOver && isAccent && mark) {
+                    return build('acc', ['e'], [convert(children[0])], `<m:accPr><m:chr m:val="${escapeXml(MATH_ACCENT_CHARS[mark] || mark)}"/></m:accPr>`);
+                }
+                return build(isOver ? 'limUpp' : 'limLow', ['e', 'lim'], children.map(convert));
+            }
+            case 'munderover': {
+                if (children.length !== 3) return null;
+                const [base, under, over] = children.map(convert);
+                return build('limUpp', ['e', 'lim'], [build('limLow', ['e', 'lim'], [base, under]), over]);
+            }
+            case 'mfenced': {
+                const parts = children.map(convert);
+                if (parts.includes(null)) return null;
+                const open = 'open' in attributes ? attributes.open : '(';
+                const close = 'close' in attributes ? attributes.close : ')';
+                const separator = ('separators' in attributes ? attributes.separators : ',').trim().charAt(0);
+                const props = `<m:dPr><m:begChr m:val="${escapeXml(open)}"/><m:sepChr m:val="${escapeXml(separator)}"/><m:endChr m:val="${escapeXml(close)}"/></m:dPr>`;
+                return `<m:d>${props}${parts.map(part => `<m:e>${part}</m:e>`).join('')}</m:d>`;
+            }
+            case 'mtable': {
+                if (children.some(row => row.name !== 'mtr')) return null;
+                const rows = children.map(row => row.children.map(cell => (cell.name === 'mtd' ? convertRow(cell.children) : null)));
+                if (rows.length === 0 || rows.some(cells => cells.includes(null))) return null;
+                const columnCount = Math.max(1, ...rows.map(cells => cells.length));
+                const props = `<m:mPr><m:mcs><m:mc><m:mcPr><m:count m:val="${columnCount}"/><m:mcJc m:val="center"/></m:mcPr></m:mc></m:mcs></m:mPr>`;
+                const rowsXml = rows.map(cells => {
+                    const padded = cells.concat(Array(columnCount - cells.length).fill(''));
+                    return `<m:mr>${padded.map(cell => `<m:e>${cell}</m:e>`).join('')}</m:mr>`;
+                }).join('');
+                return `<m:m>${props}${rowsXml}</m:m>`;
+            }
+            default:
+                return null;
+        }
+    };
+
+    return convert(math) || null;
+}
+
+module.exports = {
+    mathmlToOmml
+};
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for the MathML to Office Math conversion
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mathmlToOmml } = require('./mathml');
+
+/**
+ * Build a MathML tree node the way the browser serializes it
+ * @param {string} name - Element name
+ * @param {Array<Object>|string} content - Child nodes, or the text of a token element
+ * @param {Object} attributes - Element attributes
+ * @returns {Object} { name, attributes, text, children }
+ */
+function node(name, content = [], attributes = {}) {
+    const children = typeof content === 'string' ? [] : content;
+    const text = typeof content === 'string' ? content : children.map(child => child.text).join('');
+    return { name, attributes, text, children };
+}
+
+// ∑_{i=1}^{n} x_i as KaTeX writes it
+const sumLimits = [node('mrow', [node('mi', 'i'), node('mo', '='), node('mn', '1')]), node('mi', 'n')];
+const sumOperand = node('msub', [node('mi', 'x'), node('mi', 'i')]);
+const sumOperandXml = '<m:sSub><m:e><m:r><m:t xml:space="preserve">x</m:t></m:r></m:e>' +
+    '<m:sub><m:r><m:t xml:space="preserve">i</m:t></m:r></m:sub></m:sSub>';
+
+test('mathmlToOmml converts fractions, roots and scripts', () => {
+    const math = node('math', [
+        node('mfrac', [node('mn', '1'), node('msqrt', [node('mi', 'x')])]),
+        node('msup', [node('mi', 'e'), node('mn', '2')])
+    ]);
+    assert.equal(mathmlToOmml(math),
+        '<m:f><m:num><m:r><m:t xml:space="preserve">1</m:t></m:r></m:num>' +
+        '<m:den><m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg></m:deg><m:e><m:r><m:t xml:space="preserve">x</m:t></m:r></m:e></m:rad></m:den></m:f>' +
+        '<m:sSup><m:e><m:r><m:t xml:space="preserve">e</m:t></m:r></m:e><m:sup><m:r><m:t xml:space="preserve">2</m:t></m:r></m:sup></m:sSup>');
+});
+
+test('mathmlToOmml returns null for constructs without an Office Math equivalent', () => {
+    assert.equal(mathmlToOmml(node('math', [node('mmultiscripts', [node('mi', 'C')])])), null);
+    assert.equal(mathmlToOmml(node('math', [node('menclose', [node('mi', 'x')], { notation: 'circle' })])), null);
+});
+
+test('mathmlToOmml turns a display sum into an n-ary object with limits above and below', () => {
+    const math = node('math', [node('mrow', [
+        node('munderover', [node('mo', '∑'), ...sumLimits]),
+        sumOperand,
+        node('mo', '='),
+        node('mi', 'S')
+    ])], { display: 'block' });
+    const omml = mathmlToOmml(math, { display: true });
+
+    assert.ok(omml.startsWith('<m:nary><m:naryPr><m:chr m:val="∑"/><m:limLoc m:val="undOvr"/></m:naryPr>' +
+        '<m:sub><m:r><m:t xml:space="preserve">i</m:t></m:r><m:r><m:rPr><m:sty m:val="p"/></m:rPr><m:t xml:space="preserve">=</m:t></m:r>' +
+        '<m:r><m:t xml:space="preserve">1</m:t></m:r></m:sub>' +
+        `<m:sup><m:r><m:t xml:space="preserve">n</m:t></m:r></m:sup><m:e>${sumOperandXml}</m:e></m:nary>`));
+    // The relation after the operand stays outside the sum
+    assert.ok(omml.endsWith('</m:nary><m:r><m:rPr><m:sty m:val="p"/></m:rPr><m:t xml:space="preserve">=</m:t></m:r>' +
+        '<m:r><m:t xml:space="preserve">S</m:t></m:r>'));
+    assert.ok(!omml.includes('<m:limUpp>'));
+});
+
+test('mathmlToOmml puts the limits of inline large operators in script position', () => {
+    const inline = node('math', [node('msubsup', [node('mo', '∑'), ...sumLimits]), sumOperand]);
+    assert.match(mathmlToOmml(inline), /^<m:nary><m:naryPr><m:chr m:val="∑"\/><m:limLoc m:val="subSup"\/><\/m:naryPr>/);
+
+    // munderover moves its limits inline unless movablelimits="false"
+    const movable = node('math', [node('munderover', [node('mo', '∑'), ...sumLimits]), sumOperand]);
+    assert.match(mathmlToOmml(movable), /<m:limLoc m:val="subSup"\/>/);
+    const fixed = node('math', [node('munderover', [node('mo', '∑', { movablelimits: 'false' }), ...sumLimits]), sumOperand]);
+    assert.match(mathmlToOmml(fixed), /<m:limLoc m:val="undOvr"\/>/);
+});
+
+test('mathmlToOmml hides the missing limits of an integral', () => {
+    const math = node('math', [
+        node('msub', [node('mo', '∫'), node('mi', 'Ω')]),
+        node('mi', 'f'),
+        node('mi', 'd'),
+        node('mi', 'x')
+    ]);
+    const omml = mathmlToOmml(math);
+    assert.match(omml, /^<m:nary><m:naryPr><m:chr m:val="∫"\/><m:limLoc m:val="subSup"\/><m:supHide m:val="1"\/><\/m:naryPr>/);
+    assert.match(omml, /<m:sup><\/m:sup><m:e>(<m:r><m:t xml:space="preserve">[fdx]<\/m:t><\/m:r>){3}<\/m:e><\/m:nary>$/);
+});